@@ -0,0 +1,116 @@
+/**
+* VRUI Javascript UI Library
+* https://github.com/artflow-vr/vr-ui
+*
+* MIT License
+*
+* Copyright (c) 2017 artflow-vr
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy
+* of this software and associated documentation files (the "Software"), to deal
+* in the Software without restriction, including without limitation the rights
+* to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+* copies of the Software, and to permit persons to whom the Software is
+* furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all
+* copies or substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+* IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+* FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+* AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+* LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+* SOFTWARE.
+*/
+
+import { setUndefinedProps } from '../utils/property-check';
+
+/**
+ *
+ * Abstract class describing how a UI is placed in the scene: fixed in the
+ * world, following the camera, attached to a controller, ...
+ *
+ * An anchor moves the group containing the pages of the UI. It is attached
+ * by `VRUI.setAnchor()', and updated by `VRUI.update()'. Subclasses override
+ * `update()' to move the group every frame.
+ *
+ * @export
+ * @class AbstractAnchor
+ */
+export default class AbstractAnchor {
+
+    /**
+     * Creates an instance of AbstractAnchor.
+     *
+     * @param {Object} [data] - Anchor relative data. e.g:
+     * {
+     *     offset: { x: 0.0, y: - 0.1, z: 0.0 }, // In the anchor space
+     *     rotation: { x: - Math.PI / 4, y: 0.0, z: 0.0 } // In radians
+     * }
+     * @memberof AbstractAnchor
+     */
+    constructor( data ) {
+
+        this.data = data ? Object.assign( {}, data ) : {};
+        setUndefinedProps( {
+            offset: { x: 0.0, y: 0.0, z: 0.0 },
+            rotation: { x: 0.0, y: 0.0, z: 0.0 }
+        }, this.data );
+
+        this.offset = new THREE.Vector3().copy( this.data.offset );
+        this.rotation = new THREE.Euler(
+            this.data.rotation.x || 0.0,
+            this.data.rotation.y || 0.0,
+            this.data.rotation.z || 0.0
+        );
+
+    }
+
+    /**
+     * Places the group of the UI in the scene graph. By default, the group
+     * is added to the scene, and positions are given in world space.
+     *
+     * @param {THREE.Group} group - Group containing the pages.
+     * @param {THREE.Scene} [scene] - Scene the UI was added to, if any.
+     * @memberof AbstractAnchor
+     */
+    attach( group, scene ) {
+
+        if ( scene && group.parent !== scene ) scene.add( group );
+
+    }
+
+    /**
+     * Called when the anchor is replaced by another one.
+     *
+     * @memberof AbstractAnchor
+     */
+    detach() {}
+
+    /**
+     * Moves the group of the UI.
+     * This method should be overriden by every anchors.
+     *
+     * @param {THREE.Group} group - Group containing the pages.
+     * @param {number} dt - Elapsed time since the last update, in seconds.
+     * @memberof AbstractAnchor
+     */
+    update() {}
+
+    /**
+     * Checks whether an input can not point at the UI, e.g: the controller
+     * holding it. Such an input only drives the elements reacting to its
+     * thumbstick, e.g: RadialLayout.
+     *
+     * @returns true if the input is ignored, false otherwise.
+     * @memberof AbstractAnchor
+     */
+    ignores() {
+
+        return false;
+
+    }
+
+}
@@ -0,0 +1,85 @@
+/**
+* VRUI Javascript UI Library
+* https://github.com/artflow-vr/vr-ui
+*
+* MIT License
+*
+* Copyright (c) 2017 artflow-vr
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy
+* of this software and associated documentation files (the "Software"), to deal
+* in the Software without restriction, including without limitation the rights
+* to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+* copies of the Software, and to permit persons to whom the Software is
+* furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all
+* copies or substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+* IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+* FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+* AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+* LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+* SOFTWARE.
+*/
+
+import AbstractAnchor from './abstract-anchor';
+
+const _target = new THREE.Vector3();
+const _rotation = new THREE.Quaternion();
+
+/**
+ *
+ * Keeps the UI at a fixed position in world space, the offset, and turns
+ * it toward the camera. The rotation is applied on top of it, e.g: to tilt
+ * the UI backward.
+ *
+ * @export
+ * @class BillboardAnchor
+ */
+export default class BillboardAnchor extends AbstractAnchor {
+
+    /**
+     * Creates an instance of BillboardAnchor.
+     *
+     * @param {THREE.Camera} camera - Camera the UI faces.
+     * @param {Object} [data] - See AbstractAnchor, as well as:
+     * - vertical: if true, the UI only turns around the vertical axis, and
+     * stays upright. Default to true.
+     * @memberof BillboardAnchor
+     */
+    constructor( camera, data ) {
+
+        if ( !( camera instanceof THREE.Object3D ) ) {
+            let errorMsg = `camera is not a THREE.Object3D instance.`;
+            throw new TypeError( `BillboardAnchor.ctor(): ` + errorMsg );
+        }
+
+        super( data );
+        this.camera = camera;
+        this.data.vertical = this.data.vertical !== undefined ? this.data.vertical : true;
+
+    }
+
+    attach( group, scene ) {
+
+        super.attach( group, scene );
+        group.position.copy( this.offset );
+
+    }
+
+    update( group ) {
+
+        group.position.copy( this.offset );
+
+        _target.setFromMatrixPosition( this.camera.matrixWorld );
+        if ( this.data.vertical ) _target.y = group.position.y;
+        // Objects, unlike cameras, look at targets with their +Z axis.
+        group.lookAt( _target );
+        group.quaternion.multiply( _rotation.setFromEuler( this.rotation ) );
+
+    }
+
+}
@@ -0,0 +1,134 @@
+/**
+* VRUI Javascript UI Library
+* https://github.com/artflow-vr/vr-ui
+*
+* MIT License
+*
+* Copyright (c) 2017 artflow-vr
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy
+* of this software and associated documentation files (the "Software"), to deal
+* in the Software without restriction, including without limitation the rights
+* to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+* copies of the Software, and to permit persons to whom the Software is
+* furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all
+* copies or substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+* IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+* FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+* AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+* LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+* SOFTWARE.
+*/
+
+import AbstractAnchor from './abstract-anchor';
+
+const _cameraPosition = new THREE.Vector3();
+const _cameraRotation = new THREE.Quaternion();
+const _forward = new THREE.Vector3();
+const _cameraScale = new THREE.Vector3();
+const _direction = new THREE.Vector3();
+const _rotation = new THREE.Quaternion();
+
+/**
+ *
+ * Keeps the UI in front of the camera, e.g: a HUD. The UI lazily follows
+ * the camera: it only moves once the camera looks far enough from it, and
+ * it smoothly catches up with the camera.
+ *
+ * The offset and the rotation are given in the camera space, the UI being
+ * placed at `distance' along the view direction. The UI should be added to
+ * the scene directly, positions being computed in world space.
+ *
+ * @export
+ * @class CameraAnchor
+ */
+export default class CameraAnchor extends AbstractAnchor {
+
+    /**
+     * Creates an instance of CameraAnchor.
+     *
+     * @param {THREE.Camera} camera - Camera to follow.
+     * @param {Object} [data] - See AbstractAnchor, as well as:
+     * - distance: distance to the camera, in Three.js units. Default to 1.
+     * - damping: time, in seconds, the UI takes to cover most of the way to
+     * its target. 0 makes it rigidly attached. Default to 0.3.
+     * - followAngle: angle, in degrees, between the view direction and the
+     * UI, above which the UI starts following the camera. Default to 0.
+     * @memberof CameraAnchor
+     */
+    constructor( camera, data ) {
+
+        if ( !( camera instanceof THREE.Object3D ) ) {
+            let errorMsg = `camera is not a THREE.Object3D instance.`;
+            throw new TypeError( `CameraAnchor.ctor(): ` + errorMsg );
+        }
+
+        super( data );
+        this.camera = camera;
+
+        this.data.distance = this.data.distance !== undefined ? this.data.distance : 1.0;
+        this.data.damping = this.data.damping !== undefined ? this.data.damping : 0.3;
+        this.data.followAngle = this.data.followAngle || 0.0;
+
+        this._targetPosition = new THREE.Vector3();
+        this._targetRotation = new THREE.Quaternion();
+        this._rotationOffset = new THREE.Quaternion().setFromEuler( this.rotation );
+        // True while the UI catches up with the camera.
+        this._following = true;
+
+    }
+
+    attach( group, scene ) {
+
+        super.attach( group, scene );
+
+        // The UI starts in front of the camera.
+        this._computeTarget();
+        group.position.copy( this._targetPosition );
+        group.quaternion.copy( this._targetRotation );
+        this._following = false;
+
+    }
+
+    update( group, dt ) {
+
+        this._computeTarget();
+
+        // Angle between the view direction and the UI.
+        _direction.copy( group.position ).sub( _cameraPosition );
+        let angle = _direction.lengthSq() > 0.0 ? _direction.angleTo( _forward ) * 180.0 / Math.PI : 0.0;
+        if ( angle > this.data.followAngle ) this._following = true;
+        if ( !this._following ) return;
+
+        let damping = this.data.damping;
+        let t = damping > 0.0 ? 1.0 - Math.exp( - ( dt || 0.0 ) / damping ) : 1.0;
+        group.position.lerp( this._targetPosition, t );
+        group.quaternion.slerp( this._targetRotation, t );
+
+        // Stops once the UI is in front of the camera again.
+        if ( group.position.distanceTo( this._targetPosition ) < 0.001 ) this._following = false;
+
+    }
+
+    _computeTarget() {
+
+        let camera = this.camera;
+        camera.updateMatrixWorld();
+        camera.matrixWorld.decompose( _cameraPosition, _cameraRotation, _cameraScale );
+
+        _forward.set( 0.0, 0.0, - 1.0 ).applyQuaternion( _cameraRotation );
+
+        this._targetPosition.set( 0.0, 0.0, - this.data.distance ).add( this.offset );
+        this._targetPosition.applyQuaternion( _cameraRotation ).add( _cameraPosition );
+
+        _rotation.copy( _cameraRotation ).multiply( this._rotationOffset );
+        this._targetRotation.copy( _rotation );
+
+    }
+
+}
@@ -0,0 +1,84 @@
+/**
+* VRUI Javascript UI Library
+* https://github.com/artflow-vr/vr-ui
+*
+* MIT License
+*
+* Copyright (c) 2017 artflow-vr
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy
+* of this software and associated documentation files (the "Software"), to deal
+* in the Software without restriction, including without limitation the rights
+* to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+* copies of the Software, and to permit persons to whom the Software is
+* furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all
+* copies or substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+* IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+* FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+* AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+* LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+* SOFTWARE.
+*/
+
+import AbstractAnchor from './abstract-anchor';
+
+/**
+ *
+ * Attaches the UI to an object, e.g: a wrist palette attached to a
+ * controller. The offset and the rotation are given in the object space.
+ *
+ * The input created from the same object does not point at the UI, as a
+ * controller can not point at the panel it holds. Its thumbstick still
+ * selects the sectors of radial layouts, see RadialLayout.
+ *
+ * @export
+ * @class ObjectAnchor
+ */
+export default class ObjectAnchor extends AbstractAnchor {
+
+    /**
+     * Creates an instance of ObjectAnchor.
+     *
+     * @param {THREE.Object3D} object - Object holding the UI.
+     * @param {Object} [data] - See AbstractAnchor.
+     * @memberof ObjectAnchor
+     */
+    constructor( object, data ) {
+
+        if ( !( object instanceof THREE.Object3D ) ) {
+            let errorMsg = `anchor object is not a THREE.Object3D instance.`;
+            throw new TypeError( `ObjectAnchor.ctor(): ` + errorMsg );
+        }
+
+        super( data );
+        this.object = object;
+
+    }
+
+    attach( group ) {
+
+        this.object.add( group );
+        group.position.copy( this.offset );
+        group.rotation.copy( this.rotation );
+
+    }
+
+    detach( group, scene ) {
+
+        this.object.remove( group );
+        if ( scene ) scene.add( group );
+
+    }
+
+    ignores( input ) {
+
+        return input.object === this.object;
+
+    }
+
+}
@@ -0,0 +1,146 @@
+/**
+* VRUI Javascript UI Library
+* https://github.com/artflow-vr/vr-ui
+*
+* MIT License
+*
+* Copyright (c) 2017 artflow-vr
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy
+* of this software and associated documentation files (the "Software"), to deal
+* in the Software without restriction, including without limitation the rights
+* to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+* copies of the Software, and to permit persons to whom the Software is
+* furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all
+* copies or substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+* IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+* FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+* AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+* LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+* SOFTWARE.
+*/
+
+import Tween from './tween';
+
+/**
+ *
+ * Updates a set of tweens. Each VRUI owns an animator, updated by
+ * `VRUI.update()'.
+ *
+ * @export
+ * @class Animator
+ */
+export default class Animator {
+
+    constructor() {
+
+        this.tweens = [];
+
+    }
+
+    /**
+     * Creates and starts a tween.
+     *
+     * @param {Object} target - Object containing the properties to animate.
+     * @param {Object} to - Destination values.
+     * @param {Object} [options] - Animation options, see VRUI.Tween.
+     * @returns the created tween.
+     * @memberof Animator
+     */
+    animate( target, to, options ) {
+
+        return this.add( new Tween( target, to, options ) );
+
+    }
+
+    /**
+     * Starts the given tween, and registers it to be updated.
+     *
+     * @param {VRUI.Tween} tween - Tween to register.
+     * @returns the given tween, allowing to chain the calls.
+     * @memberof Animator
+     */
+    add( tween ) {
+
+        if ( !( tween instanceof Tween ) ) {
+            let errorMsg = `provided tween is not an instance of VRUI.Tween.`;
+            throw new TypeError( `Animator.add(): ` + errorMsg );
+        }
+
+        this.tweens.push( tween.start() );
+        return tween;
+
+    }
+
+    /**
+     * Cancels every tween animating the given target.
+     *
+     * @param {Object} target - Animated object.
+     * @memberof Animator
+     */
+    cancel( target ) {
+
+        for ( let tween of this.tweens )
+            if ( tween.target === target ) tween.cancel();
+
+    }
+
+    /**
+     * Cancels every tween.
+     *
+     * @memberof Animator
+     */
+    clear() {
+
+        for ( let tween of this.tweens ) tween.cancel();
+        this.tweens = [];
+
+    }
+
+    /**
+     * Updates every tween. When a tween ends, the tweens chained to it are
+     * started with the time left over, so that the result only depends on
+     * the time deltas.
+     *
+     * @param {number} dt - Elapsed time since the last update, in seconds.
+     * @memberof Animator
+     */
+    update( dt ) {
+
+        let pending = this.tweens.map( ( tween ) => {
+
+            return { tween: tween, dt: dt };
+
+        } );
+
+        // Tweens created in callbacks will be pushed in this array.
+        this.tweens = [];
+
+        let active = [];
+        while ( pending.length > 0 ) {
+            let entry = pending.shift();
+            let tween = entry.tween;
+            // Cancelled or finished by hand.
+            if ( !tween.running ) continue;
+
+            let leftover = tween.update( entry.dt );
+            if ( tween.running ) {
+                active.push( tween );
+                continue;
+            }
+            if ( !tween.finished ) continue;
+
+            for ( let next of tween._chained )
+                pending.push( { tween: next.start(), dt: leftover } );
+        }
+
+        this.tweens = active.concat( this.tweens );
+
+    }
+
+}
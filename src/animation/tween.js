@@ -0,0 +1,291 @@
+/**
+* VRUI Javascript UI Library
+* https://github.com/artflow-vr/vr-ui
+*
+* MIT License
+*
+* Copyright (c) 2017 artflow-vr
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy
+* of this software and associated documentation files (the "Software"), to deal
+* in the Software without restriction, including without limitation the rights
+* to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+* copies of the Software, and to permit persons to whom the Software is
+* furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all
+* copies or substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+* IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+* FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+* AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+* LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+* SOFTWARE.
+*/
+
+import { Easing } from '../utils/easing';
+
+const DEFAULT_DURATION = 0.3;
+
+let OBJ_CTOR = {}.constructor;
+
+/**
+ *
+ * Interpolates properties of a target over time. Supported values are
+ * numbers, THREE.Color (the destination can be an hexadecimal color),
+ * vectors, and plain objects of numbers (e.g: the margin of an element).
+ *
+ * If the target implements `_getAnimated( key )' and
+ * `_setAnimated( key, value )', they are used to access the properties.
+ * This is how VRUI.Element exposes its offset, scale, opacity, etc...
+ *
+ * A tween does nothing by itself, it has to be registered into an Animator,
+ * which updates it.
+ *
+ * @export
+ * @class Tween
+ */
+export default class Tween {
+
+    /**
+     * Creates an instance of Tween.
+     *
+     * @param {Object} target - Object containing the properties to animate.
+     * @param {Object} to - Destination values. e.g: { opacity: 0.0 }
+     * @param {Object} [options] - Animation options:
+     * {
+     *     duration: 0.3, // In seconds
+     *     delay: 0.0, // In seconds
+     *     easing: VRUI.Easing.quadOut,
+     *     onUpdate: ( target, progress ) => {},
+     *     onComplete: ( target ) => {}
+     * }
+     * @memberof Tween
+     */
+    constructor( target, to, options ) {
+
+        if ( target === undefined || target === null ) {
+            let errorMsg = `provided target is null or undefined.`;
+            throw new TypeError( `Tween.ctor(): ` + errorMsg );
+        }
+
+        this.target = target;
+        this.to = Object.assign( {}, to );
+
+        this.options = Object.assign( {
+            duration: DEFAULT_DURATION,
+            delay: 0.0,
+            easing: Easing.quadOut,
+            onUpdate: null,
+            onComplete: null
+        }, options );
+
+        this.running = false;
+        this.finished = false;
+
+        this._elapsed = 0.0;
+        this._props = null;
+        this._chained = [];
+
+    }
+
+    /**
+     * Starts, or restarts, the tween. Start values are captured once the
+     * delay is elapsed.
+     *
+     * @returns this instance, allowing to chain the calls.
+     * @memberof Tween
+     */
+    start() {
+
+        this.running = true;
+        this.finished = false;
+        this._elapsed = 0.0;
+        this._props = null;
+
+        return this;
+
+    }
+
+    /**
+     * Stops the tween where it is. Chained tweens will never start.
+     *
+     * @memberof Tween
+     */
+    cancel() {
+
+        this.running = false;
+
+    }
+
+    /**
+     * Jumps to the end of the tween, and of every tween chained to it.
+     *
+     * @memberof Tween
+     */
+    finish() {
+
+        if ( !this.running && !this.finished ) this.start();
+        this.update( Infinity );
+        for ( let tween of this._chained ) tween.finish();
+
+    }
+
+    /**
+     * Creates a tween on the same target, starting when this one ends.
+     *
+     * @param {Object} to - Destination values.
+     * @param {Object} [options] - Animation options.
+     * @returns the created tween, allowing to chain the calls.
+     * @memberof Tween
+     */
+    then( to, options ) {
+
+        return this.chain( new Tween( this.target, to, options ) );
+
+    }
+
+    /**
+     * Starts the given tween when this one ends.
+     *
+     * @param {VRUI.Tween} tween - Tween to start.
+     * @returns the given tween, allowing to chain the calls.
+     * @memberof Tween
+     */
+    chain( tween ) {
+
+        this._chained.push( tween );
+        return tween;
+
+    }
+
+    /**
+     * Advances the tween.
+     *
+     * @param {number} dt - Elapsed time since the last update, in seconds.
+     * @returns the time, in seconds, left over when the tween ended during
+     * this update. 0 otherwise.
+     * @memberof Tween
+     */
+    update( dt ) {
+
+        if ( !this.running ) return 0.0;
+
+        let options = this.options;
+
+        this._elapsed += dt;
+        if ( this._elapsed < options.delay ) return 0.0;
+
+        if ( !this._props ) this._props = this._capture();
+
+        let time = this._elapsed - options.delay;
+        let duration = options.duration;
+        let t = duration > 0.0 ? Math.min( time / duration, 1.0 ) : 1.0;
+
+        let progress = options.easing( t );
+        for ( let prop of this._props )
+            this._set( prop.key, this._lerp( prop.from, prop.to, progress ) );
+
+        if ( options.onUpdate ) options.onUpdate( this.target, t );
+
+        if ( t < 1.0 ) return 0.0;
+
+        this.running = false;
+        this.finished = true;
+        if ( options.onComplete ) options.onComplete( this.target );
+
+        return Math.max( time - duration, 0.0 );
+
+    }
+
+    _capture() {
+
+        let props = [];
+        for ( let k in this.to ) {
+            let from = this._get( k );
+            if ( from === undefined || from === null ) {
+                let warnMsg = `property '` + k + `' can not be animated.`;
+                console.warn( `Tween.update(): ` + warnMsg );
+                continue;
+            }
+            props.push( {
+                key: k,
+                from: this._clone( from ),
+                to: this._normalize( from, this.to[ k ] )
+            } );
+        }
+        return props;
+
+    }
+
+    _normalize( from, to ) {
+
+        if ( from instanceof THREE.Color ) return new THREE.Color( to );
+
+        if ( from.lerp ) {
+            let vector = from.clone();
+            if ( typeof to === `number` ) vector.setScalar( to );
+            else for ( let k in to ) vector[ k ] = to[ k ];
+            return vector;
+        }
+
+        if ( from.constructor === OBJ_CTOR ) {
+            let result = {};
+            for ( let k in to ) result[ k ] = this._normalize( from[ k ], to[ k ] );
+            return result;
+        }
+
+        return to;
+
+    }
+
+    _clone( value ) {
+
+        if ( value.clone ) return value.clone();
+        if ( value.constructor === OBJ_CTOR ) return Object.assign( {}, value );
+        return value;
+
+    }
+
+    _lerp( from, to, t ) {
+
+        if ( from.lerp ) return from.clone().lerp( to, t );
+
+        if ( from.constructor === OBJ_CTOR ) {
+            let result = {};
+            for ( let k in to ) result[ k ] = this._lerp( from[ k ], to[ k ], t );
+            return result;
+        }
+
+        return from + ( to - from ) * t;
+
+    }
+
+    _get( key ) {
+
+        let target = this.target;
+        if ( target._getAnimated ) return target._getAnimated( key );
+        return target[ key ];
+
+    }
+
+    _set( key, value ) {
+
+        let target = this.target;
+        if ( target._setAnimated ) {
+            target._setAnimated( key, value );
+            return;
+        }
+
+        let current = target[ key ];
+        if ( current && current.copy ) current.copy( value );
+        else if ( current && current.constructor === OBJ_CTOR )
+            Object.assign( current, value );
+        else
+            target[ key ] = value;
+
+    }
+
+}
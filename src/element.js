@@ -27,28 +27,47 @@
 
 import { PLANE_GEOM } from './utils/geometry-factory';
 import { MaterialFactory, createMaterial } from './utils/material';
+import Tween from './animation/tween';
+import ElementEvent from './utils/element-event';
+import { projectOnPlaneMesh } from './utils/ray';
 
-import { checkAndClone, IS_IN_RANGE, IS_IN_LIST, IS_INSTANCE_OF } from './utils/property-check';
+import { checkAndClone, IS_IN_RANGE, IS_IN_LIST, IS_INSTANCE_OF, IS_SIZE, IS_LENGTH } from './utils/property-check';
+import { resolveLength, resolveSize } from './utils/size';
 
 let PROP_TO_CHECK = {
-    width: { "data": [0.0, 1.0], "function": IS_IN_RANGE },
-    height: { "data": [0.0, 1.0], "function": IS_IN_RANGE },
+    width: { "data": null, "function": IS_SIZE },
+    height: { "data": null, "function": IS_SIZE },
     aspectRatio: { "data": [0.0, 100.0], "function": IS_IN_RANGE },
     depth: { "data": [0.0, 1.0], "function": IS_IN_RANGE },
     padding: {
-        top: { "data": [0.0, 0.49], "function": IS_IN_RANGE },
-        bottom: { "data": [0.0, 0.49], "function": IS_IN_RANGE },
-        left: { "data": [0.0, 0.49], "function": IS_IN_RANGE },
-        right: { "data": [0.0, 0.49], "function": IS_IN_RANGE }
+        top: { "data": [0.0, 0.49], "function": IS_LENGTH },
+        bottom: { "data": [0.0, 0.49], "function": IS_LENGTH },
+        left: { "data": [0.0, 0.49], "function": IS_LENGTH },
+        right: { "data": [0.0, 0.49], "function": IS_LENGTH }
     },
     margin: {
-        top: { "data": [0.0, 0.49], "function": IS_IN_RANGE },
-        bottom: { "data": [0.0, 0.49], "function": IS_IN_RANGE },
-        left: { "data": [0.0, 0.49], "function": IS_IN_RANGE },
-        right: { "data": [0.0, 0.49], "function": IS_IN_RANGE }
+        top: { "data": [0.0, 0.49], "function": IS_LENGTH },
+        bottom: { "data": [0.0, 0.49], "function": IS_LENGTH },
+        left: { "data": [0.0, 0.49], "function": IS_LENGTH },
+        right: { "data": [0.0, 0.49], "function": IS_LENGTH }
     },
     position: { "data": [`left`, `right`, `center`], "function": IS_IN_LIST },
     align: { "data": [`top`, `bottom`, `center`], "function": IS_IN_LIST },
+    // Linear layouts properties, see LinearLayout.
+    gap: { "data": [0.0, 1.0], "function": IS_LENGTH },
+    justifyContent: {
+        "data": [`start`, `center`, `end`, `space-between`, `space-around`, `space-evenly`],
+        "function": IS_IN_LIST
+    },
+    alignItems: { "data": [`stretch`, `center`, `baseline`, `start`, `end`], "function": IS_IN_LIST },
+    weight: { "data": [0.0, 1000.0], "function": IS_IN_RANGE },
+    grow: { "data": [0.0, 1000.0], "function": IS_IN_RANGE },
+    shrink: { "data": [0.0, 1000.0], "function": IS_IN_RANGE },
+    // Grid layouts properties, see GridLayout. The grid also uses `gap'.
+    rowGap: { "data": [0.0, 1.0], "function": IS_LENGTH },
+    columnGap: { "data": [0.0, 1.0], "function": IS_LENGTH },
+    colSpan: { "data": [1.0, 1000.0], "function": IS_IN_RANGE },
+    rowSpan: { "data": [1.0, 1000.0], "function": IS_IN_RANGE },
     background: { "data": [THREE.Material, THREE.Texture, `number`], "function": IS_INSTANCE_OF }
 };
 
@@ -56,6 +75,23 @@ const PROP_TO = {
     background: `_updateBackground`
 };
 
+// Materials shared by every element, they should never be disposed.
+const SHARED_MATERIALS = Object.keys( MaterialFactory ).map( ( k ) => MaterialFactory[ k ] );
+
+// Size difference, in Three.js units, below which the parent of an element
+// requesting a layout is not refreshed.
+const SIZE_EPSILON = 0.000001;
+
+// Style values that can be animated, see `animate()'.
+const ANIMATED_STYLE = [ `width`, `height`, `depth`, `margin`, `padding`, `gap` ];
+
+let getCapture = ( options ) => {
+
+    if ( options && typeof options === `object` ) return Boolean( options.capture );
+    return Boolean( options );
+
+};
+
 /**
  * Abstract class describing an element: layout, view, ...
  * Contains element-relative options, e.g: width, height, paddingTop...
@@ -90,6 +126,10 @@ export default class Element {
         // Reference to parent.
         this.parent = null;
         this.hover = false;
+        this.pressed = false;
+        // Whether the element can be focused and activated without a
+        // pointer, e.g: with a keyboard or a gamepad.
+        this.focusable = false;
         this.visible = true;
 
         this._dimensions = {
@@ -102,21 +142,49 @@ export default class Element {
         // It is gross but allows the _refreshLayout method to be
         // parameter free, and so to update only part of the UI at a time.
         this._parentDimensions = null;
+        // Bounds given to the last call to refresh().
+        this._maxDimensions = null;
+        // Set when the element, or one of its descendants, has to be
+        // refreshed during the next update, see `requestLayout()'.
+        this._dirty = false;
+        this._dirtyChildren = false;
 
         // Creates the background of the element. By default, the background
         // is invisible and is only used to check intersection.
         this._background = new THREE.Mesh( PLANE_GEOM, MaterialFactory.MAT_USELESS );
         this._background.position.z = - 0.001; // prevents z-fighting
         this.group.add( this._background );
+        // Bent geometry of the background, when the pages are curved. See
+        // VRUI.setCurveRadius().
+        this._curvedBackground = null;
+        // Radius the page was last bent with, reset when one of its elements
+        // moves. Only used on pages.
+        this._bentRadius = null;
 
         // The below properties store callbacks that will be executed
         // on events. e.g: button is clicked, input is hover the element...
         this._onHoverEnter = null;
         this._onHoverExit = null;
         this._onChange = null;
+        // Listeners of each event type, see `addEventListener()'.
+        this._listeners = new Map();
 
         this._lastIntersect = null;
 
+        // Hover and pressed state of the element for each input. The `hover'
+        // attribute is true as long as one input is hover the element.
+        this._inputStates = new Map();
+
+        // Transform applied on top of the position computed by the parent
+        // layout. It is mostly used by animations.
+        this.offset = new THREE.Vector3();
+        this.opacity = 1.0;
+        this._appliedOffset = new THREE.Vector3();
+        this._baseOpacities = new Map();
+
+        // Set by VRUI on pages. Children find it by going up the hierarchy.
+        this._animator = null;
+
         this.style = {};
         if ( style ) this.set( style );
 
@@ -179,6 +247,190 @@ export default class Element {
 
     }
 
+    /**
+     * Registers a listener for the given event type, e.g: 'click'. Unlike
+     * the `onChange()' like callbacks, any number of listeners can be
+     * registered, and events triggered by the descendants of the element
+     * are received too. See VRUI.ElementEvent for the list of events.
+     *
+     * @param {string} type - Type of the event.
+     * @param {function} listener - function( event ) called with the
+     * VRUI.ElementEvent.
+     * @param {boolean|Object} [options] - true to listen during the capture
+     * phase, or { capture: false, once: false }.
+     * @returns this instance, allowing to chain the calls.
+     * @memberof Element
+     */
+    addEventListener( type, listener, options ) {
+
+        if ( typeof listener !== `function` ) {
+            let errorMsg = `listener should be a function.`;
+            throw new TypeError( `Element.addEventListener(): ` + errorMsg );
+        }
+
+        let capture = getCapture( options );
+        let listeners = this._listeners.get( type );
+        if ( !listeners ) {
+            listeners = [];
+            this._listeners.set( type, listeners );
+        }
+
+        let found = listeners.find( ( elt ) => {
+
+            return elt.callback === listener && elt.capture === capture;
+
+        } );
+        if ( !found ) {
+            listeners.push( {
+                callback: listener,
+                capture: capture,
+                once: Boolean( options && options.once )
+            } );
+        }
+
+        return this;
+
+    }
+
+    /**
+     * Removes a listener registered with `addEventListener()'.
+     *
+     * @param {string} type - Type of the event.
+     * @param {function} listener - Listener to remove.
+     * @param {boolean|Object} [options] - The capture flag given when
+     * registering the listener.
+     * @returns this instance, allowing to chain the calls.
+     * @memberof Element
+     */
+    removeEventListener( type, listener, options ) {
+
+        let listeners = this._listeners.get( type );
+        if ( !listeners ) return this;
+
+        let capture = getCapture( options );
+        let index = listeners.findIndex( ( elt ) => {
+
+            return elt.callback === listener && elt.capture === capture;
+
+        } );
+        if ( index >= 0 ) listeners.splice( index, 1 );
+        if ( listeners.length === 0 ) this._listeners.delete( type );
+
+        return this;
+
+    }
+
+    /**
+     * Shortcut for `addEventListener()', e.g:
+     * layout.on( 'click', ( event ) => console.log( event.target ) );
+     *
+     * @memberof Element
+     */
+    on( type, listener, options ) {
+
+        return this.addEventListener( type, listener, options );
+
+    }
+
+    /**
+     * Shortcut for `removeEventListener()'.
+     *
+     * @memberof Element
+     */
+    off( type, listener, options ) {
+
+        return this.removeEventListener( type, listener, options );
+
+    }
+
+    /**
+     * Captures the input: until it is released, the input only interacts
+     * with this element, even when it points out of its bounds. The ray is
+     * then projected onto the plane of the element. The capture ends when
+     * the input stops pressing, or when the element is left, e.g: removed.
+     *
+     * Sliders capture the inputs pressing them, as well as dragged elements.
+     *
+     * @param {VRUI.AbstractInput} input - Input to capture.
+     * @returns this instance, allowing to chain the calls.
+     * @memberof Element
+     */
+    setPointerCapture( input ) {
+
+        if ( input._capture === this ) return this;
+        if ( input._capture ) input._capture.releasePointerCapture( input );
+
+        input._capture = this;
+        this._emit( `gotpointercapture`, input, null );
+        return this;
+
+    }
+
+    /**
+     * Ends the capture of the input by this element, if any.
+     *
+     * @param {VRUI.AbstractInput} input - Captured input.
+     * @returns this instance, allowing to chain the calls.
+     * @memberof Element
+     */
+    releasePointerCapture( input ) {
+
+        if ( input._capture !== this ) return this;
+
+        input._capture = null;
+        this._emit( `lostpointercapture`, input, null );
+        return this;
+
+    }
+
+    /**
+     * Checks whether the element captures the input.
+     *
+     * @param {VRUI.AbstractInput} input - Input to check.
+     * @returns true if the input is captured by this element.
+     * @memberof Element
+     */
+    hasPointerCapture( input ) {
+
+        return Boolean( input ) && input._capture === this;
+
+    }
+
+    /**
+     * Dispatches the event to the listeners of the element and of its
+     * ancestors: capture listeners from the page down to the parent, then
+     * the listeners of the element, and bubble listeners from the parent up
+     * to the page if the event bubbles.
+     *
+     * @param {VRUI.ElementEvent} event - Event to dispatch.
+     * @returns {VRUI.ElementEvent} the dispatched event.
+     * @memberof Element
+     */
+    dispatchEvent( event ) {
+
+        let path = [];
+        for ( let elt = this.parent; elt; elt = elt.parent ) path.push( elt );
+
+        event.target = this;
+
+        event.eventPhase = ElementEvent.CAPTURING_PHASE;
+        for ( let i = path.length - 1; i >= 0 && !event._stopped; --i )
+            path[ i ]._invokeListeners( event, true );
+
+        event.eventPhase = ElementEvent.AT_TARGET;
+        if ( !event._stopped ) this._invokeListeners( event, null );
+
+        event.eventPhase = ElementEvent.BUBBLING_PHASE;
+        for ( let i = 0; event.bubbles && i < path.length && !event._stopped; ++i )
+            path[ i ]._invokeListeners( event, false );
+
+        event.eventPhase = ElementEvent.NONE;
+        event.currentTarget = null;
+
+        return event;
+
+    }
+
     /**
      * Sets the style of the element. e.g: { width: 1.0, etc... }
      *
@@ -191,11 +443,110 @@ export default class Element {
         for ( let k in style )
             if ( PROP_TO[ k ] ) this[ PROP_TO[ k ] ]( style[ k ] );
 
+        // The style of an element is also used by its layout, e.g: margins.
+        ( this.parent || this ).requestLayout();
+
+    }
+
+    /**
+     * Animates properties of the element. Supported properties are:
+     * - offset: { x, y, z } offset added to the position given by the layout
+     * - scale: scale factor, applied around the center of the element
+     * - opacity: opacity applied to every material of the element
+     * - background: background color, if the element has a background
+     * - width, height, depth, margin, padding: style values. Only fractions of
+     * the parent size can be animated, not units such as '2cm' or 'wrap'.
+     *
+     * e.g: element.animate( { scale: 1.2 }, { duration: 0.2 } )
+     *          .then( { scale: 1.0 } );
+     *
+     * If the element is not part of a VRUI yet, the destination values are
+     * applied immediately.
+     *
+     * @param {Object} props - Destination values.
+     * @param {Object} [options] - Animation options, see VRUI.Tween.
+     * @returns the created VRUI.Tween.
+     * @memberof Element
+     */
+    animate( props, options ) {
+
+        return this._tween( this, props, options );
+
+    }
+
+    /**
+     * Cancels every animation started with `animate()' on this element.
+     *
+     * @memberof Element
+     */
+    stopAnimations() {
+
+        let animator = this._getAnimator();
+        if ( animator ) animator.cancel( this );
+
+    }
+
+    /**
+     * Sets the offset added to the position computed by the parent layout.
+     *
+     * @param {number} x - Offset on the x axis, in Three.js units.
+     * @param {number} y - Offset on the y axis, in Three.js units.
+     * @param {number} [z] - Offset on the z axis, in Three.js units.
+     * @memberof Element
+     */
+    setOffset( x, y, z = 0.0 ) {
+
+        this.offset.set( x, y, z );
+        this._applyTransform();
+
+    }
+
+    /**
+     * Scales the element around its center.
+     *
+     * @param {number} scale - Scale factor.
+     * @memberof Element
+     */
+    setScale( scale ) {
+
+        this.group.scale.set( scale, scale, 1.0 );
+        this._applyTransform();
+
+    }
+
+    /**
+     * Sets the opacity of every material used by the element and its
+     * children. Shared objects, e.g: the focus ring, keep their opacity.
+     *
+     * @param {number} opacity - Opacity, in [0, 1].
+     * @memberof Element
+     */
+    setOpacity( opacity ) {
+
+        this.opacity = opacity;
+
+        let baseOpacities = this._baseOpacities;
+        this._traverse( ( object ) => {
+
+            let material = object.material;
+            if ( !material || material === MaterialFactory.MAT_USELESS ) return;
+
+            let uniform = material.uniforms ? material.uniforms.opacity : null;
+            if ( !baseOpacities.has( material ) )
+                baseOpacities.set( material, uniform ? uniform.value : material.opacity );
+
+            let value = baseOpacities.get( material ) * opacity;
+            material.transparent = material.transparent || opacity < 1.0;
+            if ( uniform ) uniform.value = value;
+            else material.opacity = value;
+
+        } );
+
     }
 
     setVisible( toggle ) {
 
-        this.group.traverse( function ( child ) {
+        this._traverse( function ( child ) {
 
             if ( child instanceof THREE.Object3D ) child.visible = toggle;
 
@@ -206,50 +557,345 @@ export default class Element {
     }
 
     /**
-     * Checks whether the element is hovered or not. If changes happen,
-     * this method will call the onHoverEnter / onHoverExit callbacks.
+     * Checks whether the element is hovered or not by the given input.
+     * If changes happen, this method will call the onHoverEnter /
+     * onHoverExit callbacks. These callbacks are only triggered when the
+     * first input enters the element, and when the last one leaves it.
      *
      * @param {THREE.Raycaster} raycaster - Raycaster with its origin and
      * direction already set.
+     * @param {Object} state - State of the input, containing the input
+     * itself.
      * @param {THREE.Mesh} object - Object to check intersection with.
-     * @param {function} onHoverEnter - Callback called when input begins
-     * to be hover the object.
-     * @param {function} onHoverExit - Callback called when input ends to
-     * be hover the object.
-     * @returns true if the input is hover the element, false otherwise.
+     * @returns the intersection information if the input is hover the
+     * element, null otherwise.
      * @memberof Element
      */
-    _checkHover( raycaster, object, onHoverEnter, onHoverExit ) {
+    _checkHover( raycaster, state, object ) {
 
-        if ( !this.visible ) return null;
+        if ( !this.visible ) {
+            this._forceExit( state.input );
+            return null;
+        }
 
         let obj = raycaster.intersectObject( object, false );
-        if ( obj.length === 0 ) {
-            if ( this.hover ) {
-                this.hover = false;
-                if ( onHoverExit ) {
-                    onHoverExit( this, {
-                        info: this._lastIntersect
-                    } );
-                }
-            }
+        let intersect = obj.length > 0 ? obj[ 0 ] : null;
+        // A captured input keeps reaching the element out of its bounds.
+        if ( !intersect && this.hasPointerCapture( state.input ) )
+            intersect = projectOnPlaneMesh( raycaster.ray, object );
+        if ( !intersect ) {
+            this._forceExit( state.input );
             return null;
         }
 
-        this._lastIntersect = obj[ 0 ];
-        if ( !this.hover ) {
-            if ( onHoverEnter ) {
-                onHoverEnter( this, {
-                    info: this._lastIntersect
-                } );
-            }
-            this.hover = true;
+        let inputState = this._getInputState( state.input );
+        inputState.intersect = intersect;
+        this._lastIntersect = intersect;
+
+        if ( !inputState.hover ) this._setInputHover( inputState, state.input );
+
+        return inputState.intersect;
+
+    }
+
+    /**
+     * Marks the element as hovered by the given input, and triggers the
+     * `pointerenter' event. The element becomes hovered when the first
+     * input enters it.
+     *
+     * @param {Object} inputState - State of the input for this element.
+     * @param {VRUI.AbstractInput} input - Input hovering the element.
+     * @memberof Element
+     */
+    _setInputHover( inputState, input ) {
+
+        inputState.hover = true;
+        this._emit( `pointerenter`, input, inputState.intersect );
+
+        if ( this.hover ) return;
+        this.hover = true;
+        this._hoverChanged( inputState.intersect, input );
+
+    }
+
+    /**
+     * Called when the first input enters the element, and when the last one
+     * leaves it. Triggers the onHoverEnter / onHoverExit callbacks. Views
+     * override it to highlight themselves.
+     *
+     * @param {Object} info - Intersection information of the input.
+     * @param {VRUI.AbstractInput} input - Input entering or leaving.
+     * @memberof Element
+     */
+    _hoverChanged( info, input ) {
+
+        let callback = this.hover ? this._onHoverEnter : this._onHoverExit;
+        if ( callback ) callback( this, { info: info, input: input } );
+
+    }
+
+    /**
+     * Checks the element against an input that can not point at it, e.g: the
+     * controller holding the UI, see ObjectAnchor. Such an input only drives
+     * the elements reacting to its thumbstick, e.g: RadialLayout.
+     *
+     * @returns the intersection information, or null if the element does
+     * not react to the input.
+     */
+    _intersectAttached( state ) {
+
+        this._forceExit( state.input );
+        return null;
+
+    }
+
+    /**
+     * Releases the element for the given input: the input is neither hover
+     * it, nor pressing it anymore.
+     *
+     * @param {VRUI.AbstractInput} input - Input to release.
+     * @memberof Element
+     */
+    _forceExit( input ) {
+
+        if ( this.hasPointerCapture( input ) ) this.releasePointerCapture( input );
+
+        let inputState = this._inputStates.get( input );
+        if ( !inputState ) return;
+
+        this._inputStates.delete( input );
+        this.pressed = this._isInputState( `pressed` );
+
+        if ( !inputState.hover ) return;
+
+        this.hover = this._isInputState( `hover` );
+        this._emit( `pointerleave`, input, inputState.intersect );
+        if ( !this.hover ) this._hoverChanged( inputState.intersect, input );
+
+    }
+
+    /**
+     * Creates an event and dispatches it from this element. Every event
+     * bubbles, except `pointerenter' and `pointerleave'.
+     */
+    _emit( type, input, info, detail ) {
+
+        if ( !this._hasListeners( type ) ) return null;
+
+        return this.dispatchEvent( new ElementEvent( type, {
+            bubbles: type !== `pointerenter` && type !== `pointerleave`,
+            input: input,
+            intersection: info,
+            detail: detail
+        } ) );
+
+    }
+
+    /**
+     * Calls the onChange callback, and triggers the `change' event with
+     * the same data.
+     */
+    _notifyChange( data ) {
+
+        if ( this._onChange ) this._onChange( this, data );
+        this._emit( `change`, data.input, data.info, data );
+
+    }
+
+    /**
+     * Checks whether the element, or one of its ancestors, listens to the
+     * given event type. It avoids creating events nobody listens to.
+     */
+    _hasListeners( type ) {
+
+        for ( let elt = this; elt; elt = elt.parent )
+            if ( elt._listeners.has( type ) ) return true;
+        return false;
+
+    }
+
+    /**
+     * Calls the listeners of the given phase: true for capture, false for
+     * bubble, null for both.
+     */
+    _invokeListeners( event, capture ) {
+
+        let listeners = this._listeners.get( event.type );
+        if ( !listeners ) return;
+
+        event.currentTarget = this;
+        // Listeners added or removed by a listener do not change the
+        // listeners called for this event.
+        for ( let listener of listeners.slice() ) {
+            if ( capture !== null && listener.capture !== capture ) continue;
+            if ( listener.once )
+                this.removeEventListener( event.type, listener.callback, listener.capture );
+
+            listener.callback.call( this, event );
+            if ( event._immediateStopped ) return;
+        }
+
+    }
+
+    /**
+     * Returns the deepest element hovered by the input, starting from this
+     * element, or null if this element is not hovered.
+     */
+    _getHovered( input ) {
+
+        let hovered = null;
+        let elt = this;
+        while ( elt ) {
+            let inputState = elt._inputStates.get( input );
+            if ( !inputState || !inputState.hover ) break;
+
+            hovered = elt;
+            elt = ( elt._elements || [] ).find( ( child ) => {
+
+                let childState = child._inputStates.get( input );
+                return childState && childState.hover;
+
+            } );
+        }
+        return hovered;
+
+    }
+
+    _getInputState( input ) {
+
+        let inputState = this._inputStates.get( input );
+        if ( !inputState ) {
+            inputState = { hover: false, pressed: false, intersect: null };
+            this._inputStates.set( input, inputState );
+        }
+        return inputState;
+
+    }
+
+    /**
+     * Checks whether one of the inputs has the given state attribute set.
+     */
+    _isInputState( attribute ) {
+
+        for ( let inputState of this._inputStates.values() )
+            if ( inputState[ attribute ] ) return true;
+        return false;
+
+    }
+
+    /**
+     * Releases the GPU resources owned by the element, i.e: its geometries,
+     * materials and generated textures. Shared resources, as well as
+     * textures provided by the user, are kept. The element is removed from
+     * its parent, and its callbacks and animations are dropped. It should not
+     * be used anymore afterwards.
+     *
+     * Pages should be removed from their UI first, see VRUI.removePage().
+     *
+     * @memberof Element
+     */
+    dispose() {
+
+        this._dispose();
+
+        if ( this.parent ) this.parent.remove( this );
+        else if ( this.group.parent ) this.group.parent.remove( this.group );
+
+    }
+
+    /**
+     * Computes the size the element wants to take, according to its style
+     * and to the space given by its parent. Sizes can be fractions of this
+     * space, 'match_parent', absolute sizes, e.g: '0.2m', or 'wrap' to fit
+     * the content of the element. Wrapped sizes never exceed the given space.
+     *
+     * This does not modify the element, `refresh()' measures it before
+     * arranging it.
+     *
+     * @param {number} maxWidth - Width given by the parent, in Three.js units.
+     * @param {number} maxHeight - Height given by the parent, in Three.js
+     * units.
+     * @returns {Object} the width and the height, in Three.js units.
+     * @memberof Element
+     */
+    measure( maxWidth, maxHeight ) {
+
+        let style = this.style;
+
+        let width = resolveSize( style.width, maxWidth );
+        let height = resolveSize( style.height, maxHeight );
+
+        // TODO: What should we do if the specified base size is larger
+        // than the other one that is allowed?
+        if ( style.aspectRatio ) {
+            if ( style.width && width !== null ) height = style.aspectRatio * width;
+            else if ( height !== null ) width = style.aspectRatio * height;
         }
 
-        return this._lastIntersect;
+        if ( width === null || height === null ) {
+            let padding = style.padding;
+            let padWidth = resolveLength( padding.left, maxWidth ) + resolveLength( padding.right, maxWidth );
+            let padHeight = resolveLength( padding.top, maxHeight ) + resolveLength( padding.bottom, maxHeight );
+
+            let content = this._measureContent(
+                maxWidth - padWidth, maxHeight - padHeight,
+                width !== null ? width - padWidth : null,
+                height !== null ? height - padHeight : null
+            );
+            if ( width === null ) width = Math.min( content.width + padWidth, maxWidth );
+            if ( height === null ) height = Math.min( content.height + padHeight, maxHeight );
+        }
+
+        return { width: width, height: height };
+
+    }
+
+    /**
+     * Computes the size of the content of the element, used when its size is
+     * 'wrap'. Elements having content should override it.
+     *
+     * @param {number} maxWidth - Available width, without padding.
+     * @param {number} maxHeight - Available height, without padding.
+     * @param {number} width - Width of the content, or null if it should be
+     * computed.
+     * @param {number} height - Height of the content, or null if it should
+     * be computed.
+     * @returns {Object} the width and the height of the content.
+     * @memberof Element
+     */
+    _measureContent( maxWidth, maxHeight, width, height ) {
+
+        return {
+            width: width !== null ? width : 0.0,
+            height: height !== null ? height : 0.0
+        };
 
     }
 
+    /**
+     * Distance from the top of the element to its baseline, used by layouts
+     * aligning their children on it. Elements without text use their bottom
+     * edge.
+     *
+     * @returns {number} the distance, in Three.js units.
+     * @memberof Element
+     */
+    _getBaseline() {
+
+        return this._dimensions.height;
+
+    }
+
+    /**
+     * Called every time the UI is updated, before checking intersections.
+     * Elements needing per-frame work, e.g: following the world transform
+     * of the UI, should override it.
+     *
+     * @param {number} dt - Elapsed time since the last update, in seconds.
+     * @memberof Element
+     */
+    _update() {}
+
     /**
      * Computes bounds of the element, as well as its relative position
      * according to its parent bounds & location.
@@ -258,12 +904,23 @@ export default class Element {
      * Three.js units.
      * @param {number} maxHeight - Maximum height that can use this element, in
      * Three.js units.
+     * @param {Object} [size] - Width and / or height, in Three.js units,
+     * overriding the ones computed from the style. This is used by layouts
+     * growing or stretching their children.
      * @memberof Element
      */
-    refresh( maxEltWidth, maxEltHeight ) {
+    refresh( maxEltWidth, maxEltHeight, size ) {
+
+        this._dirty = false;
+
+        // The parent layout is going to place the element, the offset is
+        // applied back by the layout using `_applyTransform()'.
+        this.group.position.sub( this._appliedOffset );
+        this._appliedOffset.set( 0.0, 0.0, 0.0 );
 
         let maxWidth = maxEltWidth || this._parentDimensions.width;
         let maxHeight = maxEltHeight || this._parentDimensions.height;
+        this._maxDimensions = { width: maxWidth, height: maxHeight, size: size };
 
         let style = this.style;
         let dimensions = this._dimensions;
@@ -277,33 +934,23 @@ export default class Element {
             console.warn( `Element.refresh(): ` + warnMsg );
         }
 
-        dimensions.width = null;
-        dimensions.height = null;
-
-        // TODO: What should we do if the specified base size is larger
-        // than the other one that is allowed?
-        if ( style.aspectRatio ) {
-            if ( style.width )
-                dimensions.height = style.aspectRatio * style.width * maxWidth;
-            else
-                dimensions.width = style.aspectRatio * style.height * maxHeight;
-        }
-        dimensions.width = dimensions.width || ( ( style.width || 1.0 ) * maxWidth );
-        dimensions.height = dimensions.height || ( ( style.height || 1.0 ) * maxHeight );
+        let measured = this.measure( maxWidth, maxHeight );
+        dimensions.width = size && size.width !== undefined ? size.width : measured.width;
+        dimensions.height = size && size.height !== undefined ? size.height : measured.height;
         dimensions.halfW = dimensions.width / 2.0;
         dimensions.halfH = dimensions.height / 2.0;
 
         let margin = dimensions.margin;
-        margin.top = this.style.margin.top * maxHeight;
-        margin.bottom = this.style.margin.bottom * maxHeight;
-        margin.left = this.style.margin.left * maxWidth;
-        margin.right = this.style.margin.right * maxWidth;
+        margin.top = resolveLength( this.style.margin.top, maxHeight );
+        margin.bottom = resolveLength( this.style.margin.bottom, maxHeight );
+        margin.left = resolveLength( this.style.margin.left, maxWidth );
+        margin.right = resolveLength( this.style.margin.right, maxWidth );
 
         let padding = dimensions.padding;
-        padding.top = this.style.padding.top * maxHeight;
-        padding.bottom = this.style.padding.bottom * maxHeight;
-        padding.left = this.style.padding.left * maxWidth;
-        padding.right = this.style.padding.right * maxWidth;
+        padding.top = resolveLength( this.style.padding.top, maxHeight );
+        padding.bottom = resolveLength( this.style.padding.bottom, maxHeight );
+        padding.left = resolveLength( this.style.padding.left, maxWidth );
+        padding.right = resolveLength( this.style.padding.right, maxWidth );
 
         let background = this._background;
         background.position.x = dimensions.halfW;
@@ -318,10 +965,247 @@ export default class Element {
 
     }
 
+    /**
+     * Marks the element as needing to be refreshed. The VRUI containing it
+     * refreshes it during its next update, along with its ancestors if its
+     * size changes. Only the modified subtrees are refreshed.
+     *
+     * This is called by `set()', and by the layouts when their children
+     * change. Nothing happens if the element has never been refreshed.
+     *
+     * @memberof Element
+     */
+    requestLayout() {
+
+        this._dirty = true;
+        for ( let parent = this.parent; parent; parent = parent.parent )
+            parent._dirtyChildren = true;
+
+    }
+
+    /**
+     * Applies the offset, as well as the translation keeping the center of
+     * the element in place when it is scaled. This should be called by the
+     * layouts once they have positioned the element.
+     */
+    _applyTransform() {
+
+        let group = this.group;
+        let dimensions = this._dimensions;
+
+        group.position.sub( this._appliedOffset );
+
+        let applied = this._appliedOffset.copy( this.offset );
+        if ( dimensions.width ) {
+            applied.x += dimensions.halfW * ( 1.0 - group.scale.x );
+            applied.y -= dimensions.halfH * ( 1.0 - group.scale.y );
+        }
+
+        group.position.add( applied );
+
+        // The page has to be bent again, if it is curved.
+        let page = this;
+        while ( page.parent ) page = page.parent;
+        page._bentRadius = null;
+
+    }
+
+    /**
+     * Refreshes the element using the bounds given by its parent during
+     * the last refresh. Nothing happens if it has never been refreshed.
+     */
+    _refreshInPlace() {
+
+        let max = this._maxDimensions;
+        if ( !max ) return;
+
+        this.refresh( max.width, max.height, max.size );
+        this._applyTransform();
+
+    }
+
+    /**
+     * Refreshes the element if it requested it. Layouts first visit their
+     * children having requested a layout.
+     */
+    _layout() {
+
+        this._dirtyChildren = false;
+        if ( this._dirty ) this._relayout();
+
+    }
+
+    /**
+     * Refreshes the element in place, or lets its parent refresh it if its
+     * size changed, as the siblings have to be moved.
+     */
+    _relayout() {
+
+        this._dirty = false;
+
+        let max = this._maxDimensions;
+        let parent = this.parent;
+        if ( !max ) return;
+
+        if ( parent && parent._maxDimensions ) {
+            // The size given by the parent may depend on the measured one.
+            let size = this.measure( max.width, max.height );
+            let dimensions = this._dimensions;
+            if ( max.size || Math.abs( size.width - dimensions.width ) > SIZE_EPSILON
+                || Math.abs( size.height - dimensions.height ) > SIZE_EPSILON ) {
+                parent._dirty = true;
+                return;
+            }
+        }
+
+        this._refreshInPlace();
+
+    }
+
+    _getAnimator() {
+
+        let element = this;
+        while ( element.parent ) element = element.parent;
+        return element._animator;
+
+    }
+
+    /**
+     * Animates any object using the animator of the VRUI containing this
+     * element. This is used by views to animate their meshes and materials.
+     */
+    _tween( target, props, options ) {
+
+        let tween = new Tween( target, props, options );
+
+        let animator = this._getAnimator();
+        if ( animator ) animator.add( tween );
+        else tween.finish();
+
+        return tween;
+
+    }
+
+    _getAnimated( key ) {
+
+        switch ( key ) {
+            case `offset`:
+                return this.offset;
+            case `scale`:
+                return this.group.scale.x;
+            case `opacity`:
+                return this.opacity;
+            case `background`:
+                if ( this._background.material === MaterialFactory.MAT_USELESS )
+                    return null;
+                return this._background.material.color;
+        }
+
+        if ( ANIMATED_STYLE.includes( key ) ) return this.style[ key ];
+        return null;
+
+    }
+
+    _setAnimated( key, value ) {
+
+        switch ( key ) {
+            case `offset`:
+                this.offset.copy( value );
+                this._applyTransform();
+                return;
+            case `scale`:
+                this.setScale( value );
+                return;
+            case `opacity`:
+                this.setOpacity( value );
+                return;
+            case `background`:
+                this._background.material.color.copy( value );
+                return;
+        }
+
+        if ( value.constructor === Object ) Object.assign( this.style[ key ], value );
+        else this.style[ key ] = value;
+
+        // Changing the style affects the siblings as well.
+        ( this.parent || this ).requestLayout();
+
+    }
+
+    /**
+     * Releases the resources of the element, see `dispose()', without
+     * detaching it from its parent. Layouts override it to dispose their
+     * children as well.
+     */
+    _dispose() {
+
+        // Animations may target the element, as well as its meshes and
+        // materials.
+        let targets = new Set( [ this ] );
+        this._disposeObject( this.group, targets );
+
+        let animator = this._getAnimator();
+        if ( animator ) {
+            for ( let tween of animator.tweens )
+                if ( targets.has( tween.target ) ) tween.cancel();
+        }
+
+        this._onHoverEnter = null;
+        this._onHoverExit = null;
+        this._onChange = null;
+        this._listeners.clear();
+        this._inputStates.clear();
+        this.hover = false;
+        this.pressed = false;
+
+    }
+
+    /**
+     * Calls the callback on the group of the element and its descendants.
+     * Objects flagged as shared, e.g: the focus ring, are skipped along
+     * with their children, as they do not belong to the element.
+     */
+    _traverse( callback, object = this.group ) {
+
+        if ( object.userData.shared ) return;
+
+        callback( object );
+        for ( let child of object.children ) this._traverse( callback, child );
+
+    }
+
+    /**
+     * Disposes the geometries and materials of the object and its children.
+     * Objects belonging to other elements, or flagged as shared, e.g: the
+     * focus ring, are skipped.
+     */
+    _disposeObject( object, targets ) {
+
+        let element = object.userData.element;
+        if ( ( element && element !== this ) || object.userData.shared ) return;
+
+        targets.add( object.position );
+        targets.add( object.scale );
+
+        if ( object.geometry && object.geometry !== PLANE_GEOM )
+            object.geometry.dispose();
+
+        let material = object.material;
+        if ( material && !SHARED_MATERIALS.includes( material ) ) {
+            targets.add( material );
+            material.dispose();
+        }
+
+        for ( let child of object.children ) this._disposeObject( child, targets );
+
+    }
+
     /**
      * Clones the properties that are commong to each element.
      * For now, this only support the shallow copy.
      * TODO: Support deep copy by using a boolean.
+     * Event listeners are not copied, they may belong to the owner of the
+     * original element, e.g: the VRUI re-flowing its pages.
      */
     _clone( dest ) {
 
@@ -0,0 +1,224 @@
+/**
+* VRUI Javascript UI Library
+* https://github.com/artflow-vr/vr-ui
+*
+* MIT License
+*
+* Copyright (c) 2017 artflow-vr
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy
+* of this software and associated documentation files (the "Software"), to deal
+* in the Software without restriction, including without limitation the rights
+* to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+* copies of the Software, and to permit persons to whom the Software is
+* furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all
+* copies or substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+* IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+* FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+* AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+* LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+* SOFTWARE.
+*/
+
+import VRUI from './main';
+import Element from './element';
+import VerticalLayout from './layout/vertical-layout';
+import HorizontalLayout from './layout/horizontal-layout';
+import TextView from './view/text-view';
+import ImageButton from './view/image-button';
+import CheckboxView from './view/checkbox-view';
+import SliderView from './view/slider-view';
+
+import * as Colors from './utils/colors';
+
+import { setUndefinedProps } from './utils/property-check';
+
+/**
+ *
+ * dat.gui like helper, building an entire UI from the properties of an
+ * object. Each property is displayed on its own row, made of a label and
+ * of a view chosen according to the property type:
+ * - number: SliderView
+ * - boolean: CheckboxView
+ * - function: ImageButton
+ *
+ * Rows are added using the automatic adding mode of VRUI, so a new page is
+ * created whenever the current one is full.
+ *
+ * e.g:
+ * let gui = new VRUI.GUI( { width: 0.5, height: 0.5 } );
+ * gui.add( params, 'brushSize', 0, 1 );
+ * gui.add( params, 'enabled' );
+ * gui.addButton( 'Reset', reset );
+ * gui.refresh();
+ *
+ * @export
+ * @class GUI
+ */
+export default class GUI extends VRUI {
+
+    /**
+     * Creates an instance of GUI.
+     *
+     * @param {Object} data - Contains the width and the height of the pages,
+     * in Three.js units, as well as optional GUI relative data:
+     * {
+     *     width: 0.5,
+     *     height: 0.5,
+     *     rows: 6, // Number of rows per page
+     *     labelWidth: 0.45, // Width of the labels, relative to a row
+     *     label: 0xFFFFFF, // Color of the labels
+     *     button: 0xECF0F1, // Texture, material or color of the buttons
+     *     style: { background: 0x2C3E50 } // Style applied to each page
+     * }
+     * @memberof GUI
+     */
+    constructor( data ) {
+
+        if ( !data ) {
+            let errorMsg = `you did not provide any data.`;
+            throw new TypeError( `GUI.ctor(): ` + errorMsg );
+        }
+
+        let guiData = Object.assign( {}, data );
+        setUndefinedProps( {
+            rows: 6,
+            labelWidth: 0.45,
+            label: Colors.WHITE,
+            button: Colors.WHITE_LIGHT,
+            style: {
+                background: Colors.DEFAULT,
+                padding: { top: 0.02, bottom: 0.02, left: 0.04, right: 0.04 }
+            }
+        }, guiData );
+
+        if ( guiData.rows <= 0 ) {
+            let errorMsg = `the number of rows should be strictly positive.`;
+            throw new TypeError( `GUI.ctor(): ` + errorMsg );
+        }
+
+        super( {
+            width: guiData.width,
+            height: guiData.height,
+            mode: {
+                type: VRUI.AUTOMATIC_ADDING,
+                template: new VerticalLayout( null, guiData.style )
+            }
+        } );
+
+        this.guiData = guiData;
+
+    }
+
+    /**
+     * Adds a row controlling the property `propID' of `object'. The view is
+     * chosen according to the type of the property, and is kept in sync with
+     * the object.
+     *
+     * If `object' is a VRUI.Element, or an array of VRUI.Element, this method
+     * behaves like `VRUI.add()'.
+     *
+     * @param {Object} object - Object containing the property to control.
+     * @param {string} propID - Name of the property.
+     * @param {number} [min] - Minimum value, only used with numbers.
+     * @param {number} [max] - Maximum value, only used with numbers.
+     * @returns the created view, allowing to chain the calls, e.g:
+     * gui.add( params, 'size', 0, 1 ).onChange( ... );
+     * @memberof GUI
+     */
+    add( object, propID, min, max ) {
+
+        if ( object instanceof Element || object.constructor === Array ) {
+            super.add( object, propID );
+            return null;
+        }
+
+        if ( !( propID in object ) ) {
+            let errorMsg = `property '` + propID + `' does not exist.`;
+            throw Error( `GUI.add(): ` + errorMsg );
+        }
+
+        let value = object[ propID ];
+        let view = null;
+        switch ( typeof value ) {
+            case `number`:
+                view = new SliderView( null, { height: 0.6 } )
+                    .bounds( min, max )
+                    .setValue( value )
+                    .listen( object, propID );
+                break;
+            case `boolean`:
+                view = new CheckboxView( null, { width: 0.1, height: 0.6 } )
+                    .setChecked( value )
+                    .listen( object, propID );
+                break;
+            case `function`:
+                return this.addButton( propID, value.bind( object ) );
+            default:
+                let errorMsg = `property '` + propID + `' has an unsupported `;
+                errorMsg += `type '` + typeof value + `'.`;
+                throw new TypeError( `GUI.add(): ` + errorMsg );
+        }
+
+        this._addRow( propID, view );
+        return view;
+
+    }
+
+    /**
+     * Adds a row containing a label and a button. The callback is triggered
+     * when the button is released.
+     *
+     * @param {string} label - Text displayed next to the button.
+     * @param {function} callback - Callback triggered on click.
+     * @returns the created ImageButton.
+     * @memberof GUI
+     */
+    addButton( label, callback ) {
+
+        let button = new ImageButton( {
+            innerMaterial: this.guiData.button
+        }, { width: 0.3, height: 0.6 } ).onChange( ( object, info ) => {
+
+            if ( !info.pressed && callback ) callback();
+
+        } );
+
+        this._addRow( label, button );
+        return button;
+
+    }
+
+    _addRow( label, view ) {
+
+        let data = this.guiData;
+
+        let row = new HorizontalLayout( null, { height: 1.0 / data.rows } );
+        let text = new TextView( {
+            string: label,
+            color: data.label
+        }, {
+            width: data.labelWidth,
+            height: 0.5,
+            position: `left`,
+            align: `center`
+        } );
+
+        view.set( {
+            width: typeof view.style.width === `number` ?
+                Math.min( view.style.width, 1.0 - data.labelWidth ) : 1.0 - data.labelWidth,
+            position: `right`,
+            align: `center`
+        } );
+
+        row.add( text, view );
+        super.add( row );
+
+    }
+
+}
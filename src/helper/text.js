@@ -1921,6 +1921,44 @@ kerning first=255 second=229 amount=-1
 
 const font = parseASCII( bmpFont );
 
+// The SDF shader of three-bmfont-text is a raw shader, which ignores the
+// clipping planes of its material. These shaders are the same, with the
+// clipping chunks of three.js added, so that text can be clipped by a
+// ScrollLayout like any other view.
+const SDF_VERTEX = [
+    `#include <clipping_planes_pars_vertex>`,
+    `varying vec2 vUv;`,
+    `void main() {`,
+    `    vUv = uv;`,
+    `    vec4 mvPosition = modelViewMatrix * vec4( position, 1.0 );`,
+    `    gl_Position = projectionMatrix * mvPosition;`,
+    `    #include <clipping_planes_vertex>`,
+    `}`
+].join( `\n` );
+
+const SDF_FRAGMENT = [
+    `#include <clipping_planes_pars_fragment>`,
+    `uniform float opacity;`,
+    `uniform vec3 color;`,
+    `uniform sampler2D map;`,
+    `varying vec2 vUv;`,
+    `float aastep( float value ) {`,
+    `    #ifdef GL_OES_standard_derivatives`,
+    `        float afwidth = length( vec2( dFdx( value ), dFdy( value ) ) ) * 0.70710678118654757;`,
+    `    #else`,
+    `        float afwidth = ( 1.0 / 32.0 ) * ( 1.4142135623730951 / ( 2.0 * gl_FragCoord.w ) );`,
+    `    #endif`,
+    `    return smoothstep( 0.5 - afwidth, 0.5 + afwidth, value );`,
+    `}`,
+    `void main() {`,
+    `    #include <clipping_planes_fragment>`,
+    `    vec4 texColor = texture2D( map, vUv );`,
+    `    float alpha = aastep( texColor.a );`,
+    `    gl_FragColor = vec4( color, opacity * alpha );`,
+    `    if ( gl_FragColor.a < 0.0001 ) discard;`,
+    `}`
+].join( `\n` );
+
 export default function createText( str, color = 0xFFFFFF ) {
 
     const texture = new THREE.Texture();
@@ -1932,11 +1970,15 @@ export default function createText( str, color = 0xFFFFFF ) {
 
     let shader = SDFShader;
 
-    const material = new THREE.RawShaderMaterial( shader( {
+    const material = new THREE.ShaderMaterial( shader( {
         side: THREE.DoubleSide,
         transparent: true,
         color: color,
-        map: texture
+        map: texture,
+        vertexShader: SDF_VERTEX,
+        fragmentShader: SDF_FRAGMENT,
+        clipping: true,
+        extensions: { derivatives: true }
     } ) );
 
     const geom = createGeometry( {
@@ -0,0 +1,112 @@
+/**
+* VRUI Javascript UI Library
+* https://github.com/artflow-vr/vr-ui
+*
+* MIT License
+*
+* Copyright (c) 2017 artflow-vr
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy
+* of this software and associated documentation files (the "Software"), to deal
+* in the Software without restriction, including without limitation the rights
+* to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+* copies of the Software, and to permit persons to whom the Software is
+* furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all
+* copies or substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+* IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+* FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+* AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+* LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+* SOFTWARE.
+*/
+
+/**
+ *
+ * Abstract class describing an input: mouse, controller, ...
+ *
+ * Each input owns its raycaster and its state, so that several inputs can
+ * interact with the UI at the same time. The state is forwarded to the
+ * elements, and every event they trigger reports the input causing it.
+ *
+ * @export
+ * @class AbstractInput
+ */
+export default class AbstractInput {
+
+    constructor() {
+
+        this.type = `input`;
+        this.enabled = true;
+
+        this.raycaster = new THREE.Raycaster(
+            new THREE.Vector3(), new THREE.Vector3()
+        );
+
+        // State forwarded to the elements when checking intersections.
+        // The scroll amount is consumed by the first scrollable element
+        // hovered by the input. The thumbstick contains the raw axes of the
+        // thumbstick, if any, in [-1, 1].
+        this.state = {
+            pressed: false,
+            scroll: new THREE.Vector2(),
+            thumbstick: new THREE.Vector2(),
+            input: this
+        };
+
+        // Result of the last intersection test with the UI, and deepest
+        // element hovered, e.g: a button rather than its layout.
+        this.intersection = null;
+        this.hovered = null;
+        // Element capturing the input, see `Element.setPointerCapture()'.
+        this._capture = null;
+        // Ray and reticle drawn for the input, see `VRUI.setPointerVisual()'.
+        this.visual = null;
+
+        this._forcePressed = false;
+
+    }
+
+    /**
+     * Specifies whether the input should trigger the UI, whatever its native
+     * state is. This is useful to map any button to the UI, or to simulate
+     * an input.
+     *
+     * @param {Boolean} trigger - true to make the input activated.
+     * @memberof AbstractInput
+     */
+    setPressed( trigger ) {
+
+        this._forcePressed = trigger;
+
+    }
+
+    /**
+     * Updates the raycaster, the pressed state and the scroll amount of
+     * the input. This method should be overriden by every inputs.
+     *
+     * @param {number} dt - Elapsed time since the last update, in seconds.
+     * @returns true if the raycaster is ready to be used, false otherwise.
+     * @memberof AbstractInput
+     */
+    update() {
+
+        this.state.pressed = this._forcePressed;
+        this.state.scroll.set( 0.0, 0.0 );
+        this.state.thumbstick.set( 0.0, 0.0 );
+        return false;
+
+    }
+
+    /**
+     * Releases the resources held by the input, e.g: event listeners.
+     *
+     * @memberof AbstractInput
+     */
+    dispose() {}
+
+}
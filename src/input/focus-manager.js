@@ -0,0 +1,370 @@
+/**
+* VRUI Javascript UI Library
+* https://github.com/artflow-vr/vr-ui
+*
+* MIT License
+*
+* Copyright (c) 2017 artflow-vr
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy
+* of this software and associated documentation files (the "Software"), to deal
+* in the Software without restriction, including without limitation the rights
+* to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+* copies of the Software, and to permit persons to whom the Software is
+* furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all
+* copies or substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+* IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+* FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+* AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+* LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+* SOFTWARE.
+*/
+
+import * as Colors from '../utils/colors';
+import { PLANE_GEOM } from '../utils/geometry-factory';
+
+// Standard gamepad mapping.
+const GAMEPAD_A = 0;
+const GAMEPAD_UP = 12;
+const GAMEPAD_DOWN = 13;
+const GAMEPAD_LEFT = 14;
+const GAMEPAD_RIGHT = 15;
+
+const RING_WIDTH = 0.003;
+
+/**
+ *
+ * Moves a focus ring between the focusable views of the current page, and
+ * activates them without pointer. This is useful for accessibility, or when
+ * aiming with a controller is not possible.
+ *
+ * Navigation:
+ * - Up / Down, Tab / Shift + Tab: previous / next view
+ * - Left / Right: steps sliders, moves to previous / next view otherwise
+ * - Enter, Space, gamepad A: activates the view
+ *
+ * The traversal order is the order in which the layout tree is walked.
+ *
+ * @export
+ * @class FocusManager
+ */
+export default class FocusManager {
+
+    /**
+     * Creates an instance of FocusManager. You should not have to create
+     * one, every VRUI owns a focus manager in its `focus' attribute.
+     *
+     * @param {VRUI} ui - UI to navigate.
+     * @memberof FocusManager
+     */
+    constructor( ui ) {
+
+        this.ui = ui;
+        this.type = `focus`;
+
+        this.focused = null;
+
+        // Focus ring, made of four bars around the focused view.
+        let material = new THREE.MeshBasicMaterial( {
+            color: Colors.HIGHLIGHT,
+            depthWrite: false
+        } );
+        this.ring = new THREE.Group();
+        this.ring.position.z = 0.0015;
+        // The ring is only borrowed by the focused view.
+        this.ring.userData.shared = true;
+        for ( let i = 0; i < 4; ++i )
+            this.ring.add( new THREE.Mesh( PLANE_GEOM, material ) );
+
+        this._onKeyDown = null;
+
+        this._gamepad = {
+            enabled: false,
+            gamepad: null,
+            buttons: []
+        };
+
+    }
+
+    /**
+     * Returns every focusable and visible view of the current page, in
+     * traversal order.
+     *
+     * @returns {Array} focusable views.
+     * @memberof FocusManager
+     */
+    getFocusables() {
+
+        let page = this.ui.currPage;
+        if ( !page ) return [];
+
+        let focusables = [];
+        let collect = ( elt ) => {
+
+            if ( elt.focusable && elt.visible ) focusables.push( elt );
+            return null;
+
+        };
+        collect( page );
+        if ( page._elements ) page._visit( collect );
+
+        return focusables;
+
+    }
+
+    /**
+     * Focuses the given view.
+     *
+     * @param {VRUI.ElementView} element - View to focus, null to blur.
+     * @memberof FocusManager
+     */
+    focus( element ) {
+
+        if ( this.focused ) this.focused.group.remove( this.ring );
+
+        this.focused = element || null;
+        if ( !this.focused ) return;
+
+        this.focused.group.add( this.ring );
+        this._updateRing();
+
+    }
+
+    blur() {
+
+        this.focus( null );
+
+    }
+
+    next() {
+
+        return this._move( 1 );
+
+    }
+
+    prev() {
+
+        return this._move( - 1 );
+
+    }
+
+    /**
+     * Activates the focused view. Buttons are clicked, and checkboxes are
+     * toggled.
+     *
+     * @returns true if a view was activated, false otherwise.
+     * @memberof FocusManager
+     */
+    activate() {
+
+        if ( !this.focused ) return false;
+
+        this.focused._activate( this );
+        return true;
+
+    }
+
+    /**
+     * Steps the value of the focused view, if it has one, e.g: a slider.
+     *
+     * @param {number} direction - 1 to increment, -1 to decrement.
+     * @returns true if the focused view changed, false otherwise.
+     * @memberof FocusManager
+     */
+    step( direction ) {
+
+        if ( !this.focused ) return false;
+        return this.focused._increment( direction, this );
+
+    }
+
+    /**
+     * Binds keyboard events on the window element.
+     *
+     * @memberof FocusManager
+     */
+    enableKeyboard() {
+
+        if ( this._onKeyDown ) return;
+
+        this._onKeyDown = ( event ) => {
+
+            if ( this._handleKey( event.key, event.shiftKey ) )
+                event.preventDefault();
+
+        };
+        window.addEventListener( `keydown`, this._onKeyDown );
+
+    }
+
+    disableKeyboard() {
+
+        if ( !this._onKeyDown ) return;
+
+        window.removeEventListener( `keydown`, this._onKeyDown );
+        this._onKeyDown = null;
+
+    }
+
+    /**
+     * Polls a gamepad every update. The d-pad moves the focus, and the A
+     * button activates the focused view.
+     *
+     * @param {Gamepad} [gamepad] - Gamepad to use, e.g: the one of a VR
+     * controller. If not provided, the first connected gamepad is used.
+     * @memberof FocusManager
+     */
+    enableGamepad( gamepad ) {
+
+        this._gamepad.enabled = true;
+        this._gamepad.gamepad = gamepad || null;
+        this._gamepad.buttons = [];
+
+    }
+
+    disableGamepad() {
+
+        this._gamepad.enabled = false;
+        this._gamepad.gamepad = null;
+
+    }
+
+    /**
+     * Polls the gamepad, and releases the focus if the focused view is not
+     * reachable anymore, e.g: when the page changed. This is called by
+     * `VRUI.update()'.
+     *
+     * @memberof FocusManager
+     */
+    update() {
+
+        if ( this.focused ) {
+            let page = this.focused;
+            while ( page.parent ) page = page.parent;
+
+            if ( page !== this.ui.currPage || !this.focused.visible ) this.blur();
+            else this._updateRing();
+        }
+
+        if ( this._gamepad.enabled ) this._pollGamepad();
+
+    }
+
+    dispose() {
+
+        this.blur();
+        this.disableKeyboard();
+        this.disableGamepad();
+        this.ring.children[ 0 ].material.dispose();
+
+    }
+
+    _handleKey( key, shift ) {
+
+        if ( !this._isActive() ) return false;
+
+        // Only keys that had an effect are reported as handled, so that the
+        // page keeps its default behaviour otherwise.
+        switch ( key ) {
+            case `Tab`:
+                return this._move( shift ? - 1 : 1 );
+            case `ArrowUp`:
+                return this.prev();
+            case `ArrowDown`:
+                return this.next();
+            case `ArrowLeft`:
+                return this.step( - 1 ) || this.prev();
+            case `ArrowRight`:
+                return this.step( 1 ) || this.next();
+            case `Enter`:
+            case ` `:
+                return this.activate();
+        }
+
+        return false;
+
+    }
+
+    _pollGamepad() {
+
+        let gamepad = this._gamepad.gamepad;
+        if ( !gamepad && navigator.getGamepads ) {
+            for ( let pad of navigator.getGamepads() ) {
+                if ( pad ) {
+                    gamepad = pad;
+                    break;
+                }
+            }
+        }
+        if ( !gamepad ) return;
+
+        // Only newly pressed buttons trigger an action.
+        let previous = this._gamepad.buttons;
+        let buttons = gamepad.buttons.map( ( button ) => button.pressed );
+        this._gamepad.buttons = buttons;
+
+        let isDown = ( id ) => buttons[ id ] && !previous[ id ];
+
+        if ( isDown( GAMEPAD_UP ) ) this._handleKey( `ArrowUp` );
+        if ( isDown( GAMEPAD_DOWN ) ) this._handleKey( `ArrowDown` );
+        if ( isDown( GAMEPAD_LEFT ) ) this._handleKey( `ArrowLeft` );
+        if ( isDown( GAMEPAD_RIGHT ) ) this._handleKey( `ArrowRight` );
+        if ( isDown( GAMEPAD_A ) ) this._handleKey( `Enter` );
+
+    }
+
+    _isActive() {
+
+        let ui = this.ui;
+        return ui.enabled && ui.visible && !( ui.transition && ui.transition.running );
+
+    }
+
+    _move( direction ) {
+
+        let focusables = this.getFocusables();
+        if ( focusables.length === 0 ) {
+            this.blur();
+            return false;
+        }
+
+        let index = focusables.indexOf( this.focused );
+        if ( index < 0 ) {
+            index = direction > 0 ? 0 : focusables.length - 1;
+        } else {
+            index = ( index + direction ) % focusables.length;
+            if ( index < 0 ) index += focusables.length;
+        }
+
+        let previous = this.focused;
+        this.focus( focusables[ index ] );
+        return this.focused !== previous;
+
+    }
+
+    _updateRing() {
+
+        let dimensions = this.focused._dimensions;
+        let width = dimensions.width || 0.0;
+        let height = dimensions.height || 0.0;
+        let w = RING_WIDTH;
+
+        // Top, bottom, left and right bars.
+        let bars = this.ring.children;
+        bars[ 0 ].scale.set( width + 2.0 * w, w, 1.0 );
+        bars[ 0 ].position.set( width * 0.5, w * 0.5, 0.0 );
+        bars[ 1 ].scale.set( width + 2.0 * w, w, 1.0 );
+        bars[ 1 ].position.set( width * 0.5, - height - w * 0.5, 0.0 );
+        bars[ 2 ].scale.set( w, height, 1.0 );
+        bars[ 2 ].position.set( - w * 0.5, - height * 0.5, 0.0 );
+        bars[ 3 ].scale.set( w, height, 1.0 );
+        bars[ 3 ].position.set( width + w * 0.5, - height * 0.5, 0.0 );
+
+    }
+
+}
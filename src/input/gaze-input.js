@@ -0,0 +1,118 @@
+/**
+* VRUI Javascript UI Library
+* https://github.com/artflow-vr/vr-ui
+*
+* MIT License
+*
+* Copyright (c) 2017 artflow-vr
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy
+* of this software and associated documentation files (the "Software"), to deal
+* in the Software without restriction, including without limitation the rights
+* to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+* copies of the Software, and to permit persons to whom the Software is
+* furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all
+* copies or substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+* IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+* FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+* AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+* LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+* SOFTWARE.
+*/
+
+import AbstractInput from './abstract-input';
+
+/**
+ *
+ * Uses the gaze of the user as an input, for headsets without controllers,
+ * or for accessibility. The ray follows the view direction of the camera.
+ *
+ * Looking at a focusable view, e.g: a button, for the dwell time activates
+ * it: the input presses it for one update, and releases it. The view is
+ * activated once, the gaze has to leave it to activate it again. The
+ * `progress' attribute, in [0, 1], tells how long the view has been looked
+ * at, and is displayed by the reticle of VRUI.PointerVisual.
+ *
+ * @export
+ * @class GazeInput
+ */
+export default class GazeInput extends AbstractInput {
+
+    /**
+     * Creates an instance of GazeInput.
+     *
+     * @param {THREE.Camera} camera - Camera whose view direction is used.
+     * @param {Object} [data] - Gaze relative data. e.g:
+     * {
+     *     dwellTime: 1.0 // Time to look at a view to activate it, in seconds
+     * }
+     * @memberof GazeInput
+     */
+    constructor( camera, data ) {
+
+        if ( !( camera instanceof THREE.Camera ) ) {
+            let errorMsg = `the provided camera is not a THREE.Camera.`;
+            throw Error( `GazeInput.ctor(): ` + errorMsg );
+        }
+
+        super();
+        this.type = `gaze`;
+
+        this.camera = camera;
+        this.data = Object.assign( { dwellTime: 1.0 }, data );
+
+        // Dwell progress on the view looked at, in [0, 1].
+        this.progress = 0.0;
+
+        this._dwellTarget = null;
+        this._dwellElapsed = 0.0;
+        this._activated = false;
+        this._pressing = false;
+
+    }
+
+    update( dt ) {
+
+        let matrix = this.camera.matrixWorld;
+        let ray = this.raycaster.ray;
+        ray.origin.setFromMatrixPosition( matrix );
+        ray.direction.set( 0.0, 0.0, - 1.0 ).transformDirection( matrix );
+
+        this.state.scroll.set( 0.0, 0.0 );
+        this.state.thumbstick.set( 0.0, 0.0 );
+
+        // The view hovered during the last update is the one looked at.
+        let hovered = this.hovered;
+        let target = hovered && hovered.focusable ? hovered : null;
+        if ( target !== this._dwellTarget ) {
+            this._dwellTarget = target;
+            this._dwellElapsed = 0.0;
+            this._activated = false;
+        }
+
+        // A press lasts one update, the view is then released.
+        if ( this._pressing ) {
+            this._pressing = false;
+        } else if ( target && !this._activated ) {
+            this._dwellElapsed += dt || 0.0;
+            if ( this._dwellElapsed >= this.data.dwellTime ) {
+                this._activated = true;
+                this._pressing = true;
+            }
+        }
+
+        let dwellTime = this.data.dwellTime;
+        this.progress = target && !this._activated ?
+            Math.min( dwellTime > 0.0 ? this._dwellElapsed / dwellTime : 1.0, 1.0 ) : 0.0;
+
+        this.state.pressed = this._pressing || this._forcePressed;
+        return true;
+
+    }
+
+}
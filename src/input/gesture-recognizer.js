@@ -0,0 +1,303 @@
+/**
+* VRUI Javascript UI Library
+* https://github.com/artflow-vr/vr-ui
+*
+* MIT License
+*
+* Copyright (c) 2017 artflow-vr
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy
+* of this software and associated documentation files (the "Software"), to deal
+* in the Software without restriction, including without limitation the rights
+* to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+* copies of the Software, and to permit persons to whom the Software is
+* furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all
+* copies or substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+* IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+* FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+* AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+* LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+* SOFTWARE.
+*/
+
+import { setUndefinedProps } from '../utils/property-check';
+import { intersectObjectPlane } from '../utils/ray';
+
+// Events starting, updating and ending a drag.
+const DRAG_EVENTS = [ `dragstart`, `drag`, `dragend` ];
+
+/**
+ *
+ * Recognizes gestures performed by the inputs, and triggers them as events
+ * on the element pressed, see VRUI.ElementEvent:
+ * - click: the element is pressed and released by the same input, without
+ * being exited in between. Drags and long presses do not trigger clicks.
+ * - longpress: the element is held for a while, without moving.
+ * - doubleclick: the element is clicked twice in a short time.
+ * - dragstart / drag / dragend: the pointer moves while pressing the
+ * element. The element captures the input, see
+ * `Element.setPointerCapture()', and keeps following the pointer once it
+ * leaves its bounds, the ray being projected onto its plane. Drags are only
+ * recognized if the element, or one of its ancestors, listens to them.
+ *
+ * Drag events carry, as detail, the position of the pointer, its delta
+ * since the last event, and its offset since the press, in the local space
+ * of the element:
+ * { position: THREE.Vector3, delta: THREE.Vector3, offset: THREE.Vector3 }
+ *
+ * Every VRUI owns a recognizer in its `recognizer' attribute, updated by
+ * `VRUI.update()'.
+ *
+ * @export
+ * @class GestureRecognizer
+ */
+export default class GestureRecognizer {
+
+    /**
+     * Creates an instance of GestureRecognizer.
+     *
+     * @param {Object} [data] - Gesture relative data. e.g:
+     * {
+     *     longPressDuration: 0.5, // In seconds
+     *     doubleClickDelay: 0.3, // Maximum delay between clicks, in seconds
+     *     dragThreshold: 0.01 // In Three.js units
+     * }
+     * @memberof GestureRecognizer
+     */
+    constructor( data ) {
+
+        this.data = data ? Object.assign( {}, data ) : {};
+        setUndefinedProps( {
+            longPressDuration: 0.5,
+            doubleClickDelay: 0.3,
+            dragThreshold: 0.01
+        }, this.data );
+
+        // Gesture in progress, and last click, of each input.
+        this._gestures = new Map();
+
+    }
+
+    /**
+     * Follows the press of the input on the given page. It should be called
+     * once the intersection of the input with the page is computed.
+     *
+     * @param {VRUI.AbstractInput} input - Input to follow.
+     * @param {VRUI.AbstractLayout} page - Page the input interacts with.
+     * @param {number} dt - Elapsed time since the last update, in seconds.
+     * @memberof GestureRecognizer
+     */
+    update( input, page, dt ) {
+
+        let gesture = this._getGesture( input );
+        gesture.time += dt || 0.0;
+
+        let pressed = input.state.pressed;
+        let target = gesture.target;
+
+        if ( pressed && !gesture.pressed ) {
+            gesture.pressed = true;
+            this._press( gesture, input, page._getHovered( input ) );
+            return;
+        }
+        if ( !gesture.pressed ) return;
+
+        if ( !pressed ) {
+            gesture.pressed = false;
+            this._release( gesture, input, page._getHovered( input ) );
+            return;
+        }
+        if ( !target ) return;
+
+        // The press is lost as soon as the target is exited, e.g: when the
+        // pointer leaves it or when a list is scrolled, even if the target
+        // is hovered again before the release.
+        if ( target._inputStates.get( input ) !== gesture.held ) gesture.held = null;
+
+        gesture.duration += dt || 0.0;
+        let position = this._project( target, input );
+        if ( position ) this._move( gesture, input, position );
+
+        let inputState = target._inputStates.get( input );
+        let hover = inputState && inputState.hover;
+        if ( hover && !gesture.dragging && !gesture.longPressed &&
+            gesture.duration >= this.data.longPressDuration ) {
+            gesture.longPressed = true;
+            target._emit( `longpress`, input, inputState.intersect, {
+                duration: gesture.duration
+            } );
+        }
+
+    }
+
+    /**
+     * Stops following the input, e.g: when it is disabled or removed. A
+     * drag in progress ends, with the `cancelled' detail set.
+     *
+     * @param {VRUI.AbstractInput} input - Input to stop following.
+     * @memberof GestureRecognizer
+     */
+    cancel( input ) {
+
+        let gesture = this._gestures.get( input );
+        if ( !gesture ) return;
+
+        if ( gesture.dragging ) this._endDrag( gesture, input, true );
+        gesture.pressed = false;
+        gesture.target = null;
+        gesture.held = null;
+
+    }
+
+    /**
+     * Returns the element pressed by the input, if any. While dragging, it
+     * is the dragged element, even if the pointer left its bounds.
+     *
+     * @param {VRUI.AbstractInput} input - Input to check.
+     * @returns {VRUI.Element} the pressed element, or null.
+     * @memberof GestureRecognizer
+     */
+    getTarget( input ) {
+
+        let gesture = this._gestures.get( input );
+        return gesture && gesture.pressed ? gesture.target : null;
+
+    }
+
+    _getGesture( input ) {
+
+        let gesture = this._gestures.get( input );
+        if ( !gesture ) {
+            gesture = {
+                time: 0.0,
+                pressed: false,
+                target: null,
+                // Input state of the target created by the press.
+                held: null,
+                duration: 0.0,
+                start: new THREE.Vector3(),
+                position: new THREE.Vector3(),
+                dragging: false,
+                longPressed: false,
+                lastClick: null
+            };
+            this._gestures.set( input, gesture );
+        }
+        return gesture;
+
+    }
+
+    _press( gesture, input, target ) {
+
+        gesture.target = target;
+        gesture.held = null;
+        gesture.duration = 0.0;
+        gesture.dragging = false;
+        gesture.longPressed = false;
+        if ( !target ) return;
+
+        let inputState = target._inputStates.get( input );
+        gesture.held = inputState || null;
+        let info = inputState ? inputState.intersect : null;
+        if ( info ) target.group.worldToLocal( gesture.start.copy( info.point ) );
+        else gesture.start.set( 0.0, 0.0, 0.0 );
+        gesture.position.copy( gesture.start );
+
+    }
+
+    _release( gesture, input, hovered ) {
+
+        let target = gesture.target;
+        let held = gesture.held && target._inputStates.get( input ) === gesture.held;
+        if ( target && gesture.dragging ) this._endDrag( gesture, input, false );
+        else if ( held && !gesture.longPressed && hovered === target ) this._click( gesture, input );
+        gesture.target = null;
+        gesture.held = null;
+
+    }
+
+    _click( gesture, input ) {
+
+        let target = gesture.target;
+        let inputState = target._inputStates.get( input );
+        let info = inputState ? inputState.intersect : null;
+        target._emit( `click`, input, info );
+
+        let last = gesture.lastClick;
+        if ( last && last.target === target &&
+            gesture.time - last.time <= this.data.doubleClickDelay ) {
+            gesture.lastClick = null;
+            target._emit( `doubleclick`, input, info );
+            return;
+        }
+        gesture.lastClick = { target: target, time: gesture.time };
+
+    }
+
+    _move( gesture, input, position ) {
+
+        let target = gesture.target;
+        let start = gesture.start;
+
+        if ( !gesture.dragging ) {
+            let listens = DRAG_EVENTS.some( ( type ) => target._hasListeners( type ) );
+            if ( !listens || position.distanceTo( start ) < this.data.dragThreshold )
+                return;
+
+            // The dragged element keeps the input until it is released.
+            gesture.dragging = true;
+            gesture.position.copy( start );
+            target.setPointerCapture( input );
+            this._emitDrag( `dragstart`, gesture, input, position );
+            return;
+        }
+
+        if ( position.equals( gesture.position ) ) return;
+        this._emitDrag( `drag`, gesture, input, position );
+
+    }
+
+    _endDrag( gesture, input, cancelled ) {
+
+        gesture.dragging = false;
+        this._emitDrag( `dragend`, gesture, input, gesture.position, cancelled );
+
+    }
+
+    _emitDrag( type, gesture, input, position, cancelled ) {
+
+        let target = gesture.target;
+        let delta = position.clone().sub( gesture.position );
+        gesture.position.copy( position );
+
+        let point = target.group.localToWorld( position.clone() );
+        let detail = {
+            position: position.clone(),
+            delta: delta,
+            offset: position.clone().sub( gesture.start )
+        };
+        if ( type === `dragend` ) detail.cancelled = Boolean( cancelled );
+
+        target._emit( type, input, { point: point, distance: 0.0, object: null }, detail );
+
+    }
+
+    /**
+     * Projects the ray of the input onto the plane of the element.
+     *
+     * @returns {THREE.Vector3} the position of the pointer, in the local
+     * space of the element, or null if the ray does not reach the plane.
+     */
+    _project( target, input ) {
+
+        let point = intersectObjectPlane( input.raycaster.ray, target.group );
+        return point ? target.group.worldToLocal( point ) : null;
+
+    }
+
+}
@@ -0,0 +1,141 @@
+/**
+* VRUI Javascript UI Library
+* https://github.com/artflow-vr/vr-ui
+*
+* MIT License
+*
+* Copyright (c) 2017 artflow-vr
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy
+* of this software and associated documentation files (the "Software"), to deal
+* in the Software without restriction, including without limitation the rights
+* to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+* copies of the Software, and to permit persons to whom the Software is
+* furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all
+* copies or substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+* IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+* FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+* AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+* LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+* SOFTWARE.
+*/
+
+import AbstractInput from './abstract-input';
+
+// Wheel delta corresponding to one scrolled item.
+const WHEEL_STEP = 100.0;
+
+/**
+ *
+ * Mouse input. The ray goes from the camera through the mouse cursor, and
+ * the input is pressed while the left button is down.
+ *
+ * @export
+ * @class MouseInput
+ */
+export default class MouseInput extends AbstractInput {
+
+    /**
+     * Creates an instance of MouseInput. The method will bind mouse events
+     * on the window element.
+     *
+     * @param {THREE.Camera} camera - The camera used for unprojection.
+     * @param {THREE.WebGLRenderer} renderer - The main THREE renderer.
+     * @memberof MouseInput
+     */
+    constructor( camera, renderer ) {
+
+        if ( !camera ) {
+            let errorMsg = `you did not provide any camera.`;
+            throw Error( `MouseInput.ctor(): ` + errorMsg );
+        }
+
+        if ( !( camera instanceof THREE.Camera ) ) {
+            let errorMsg = `the provided camera is not a THREE.Camera.`;
+            throw Error( `MouseInput.ctor(): ` + errorMsg );
+        }
+
+        super();
+        this.type = `mouse`;
+
+        this.camera = camera;
+        this.renderer = renderer;
+
+        this.coords = new THREE.Vector2( -1.0, -1.0 );
+        this._down = false;
+        this._wheel = new THREE.Vector2();
+
+        this._onMove = ( event ) => {
+
+            let domElement = this.renderer.domElement;
+            this.setCoords(
+                ( event.offsetX / domElement.width ) * 2 - 1,
+                - ( event.offsetY / domElement.height ) * 2 + 1
+            );
+
+        };
+
+        this._onUp = () => {
+
+            this._down = false;
+
+        };
+
+        this._onDown = ( event ) => {
+
+            if ( event.button === 0 ) this._down = true;
+
+        };
+
+        this._onWheel = ( event ) => {
+
+            this._wheel.x += event.deltaX / WHEEL_STEP;
+            this._wheel.y += event.deltaY / WHEEL_STEP;
+
+        };
+
+        window.addEventListener( `mousemove`, this._onMove );
+        window.addEventListener( `mousedown`, this._onDown );
+        window.addEventListener( `mouseup`, this._onUp );
+        window.addEventListener( `wheel`, this._onWheel );
+
+    }
+
+    /**
+     * Sets the position of the cursor.
+     *
+     * @param {number} x - Normalized device coordinate, in [-1, 1].
+     * @param {number} y - Normalized device coordinate, in [-1, 1].
+     * @memberof MouseInput
+     */
+    setCoords( x, y ) {
+
+        this.coords.set( x, y );
+
+    }
+
+    update() {
+
+        this.state.pressed = this._down || this._forcePressed;
+        this.state.scroll.copy( this._wheel );
+        this._wheel.set( 0.0, 0.0 );
+        this.raycaster.setFromCamera( this.coords, this.camera );
+        return true;
+
+    }
+
+    dispose() {
+
+        window.removeEventListener( `mousemove`, this._onMove );
+        window.removeEventListener( `mousedown`, this._onDown );
+        window.removeEventListener( `mouseup`, this._onUp );
+        window.removeEventListener( `wheel`, this._onWheel );
+
+    }
+
+}
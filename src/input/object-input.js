@@ -0,0 +1,95 @@
+/**
+* VRUI Javascript UI Library
+* https://github.com/artflow-vr/vr-ui
+*
+* MIT License
+*
+* Copyright (c) 2017 artflow-vr
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy
+* of this software and associated documentation files (the "Software"), to deal
+* in the Software without restriction, including without limitation the rights
+* to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+* copies of the Software, and to permit persons to whom the Software is
+* furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all
+* copies or substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+* IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+* FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+* AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+* LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+* SOFTWARE.
+*/
+
+import AbstractInput from './abstract-input';
+
+// Items scrolled per second when the thumbstick is fully tilted.
+const THUMBSTICK_SPEED = 8.0;
+
+/**
+ *
+ * Uses any THREE.Object3D as an input, e.g: a VR controller. The element
+ * orientation is used as a pointer, along its -Z axis.
+ *
+ * The input is pressed when `setPressed()' is called, or when the
+ * vrui.pressed variable of the Object3D user data is true, e.g:
+ *
+ * inputObj.userData.vrui = {};
+ * inputObj.userData.vrui.pressed = true; // or false
+ *
+ * Scrollable elements can also be scrolled with a thumbstick, by setting its
+ * axes, in [-1, 1], to the vrui.scroll variable. The thumbstick also selects
+ * the sectors of radial layouts:
+ *
+ * inputObj.userData.vrui.scroll = { x: 0.0, y: 0.5 };
+ *
+ * @export
+ * @class ObjectInput
+ */
+export default class ObjectInput extends AbstractInput {
+
+    constructor( object ) {
+
+        if ( !( object instanceof THREE.Object3D ) ) {
+            let errorMsg = `input object is not a THREE.Object3D instance.`;
+            throw Error( `ObjectInput.ctor(): ` + errorMsg );
+        }
+
+        super();
+        this.type = `object`;
+
+        this.object = object;
+
+        this._rotation = new THREE.Matrix4();
+
+    }
+
+    update( dt ) {
+
+        let object = this.object;
+        let userData = object.userData.vrui;
+
+        this.state.pressed = Boolean( userData && userData.pressed ) || this._forcePressed;
+
+        let scroll = this.state.scroll.set( 0.0, 0.0 );
+        let thumbstick = this.state.thumbstick.set( 0.0, 0.0 );
+        if ( userData && userData.scroll ) {
+            thumbstick.set( userData.scroll.x || 0.0, userData.scroll.y || 0.0 );
+            scroll.copy( thumbstick ).multiplyScalar( THUMBSTICK_SPEED * ( dt || 0.0 ) );
+        }
+
+        this._rotation.identity().extractRotation( object.matrixWorld );
+
+        let ray = this.raycaster.ray;
+        ray.origin.setFromMatrixPosition( object.matrixWorld );
+        ray.direction.set( 0, 0, -1 ).applyMatrix4( this._rotation );
+
+        return true;
+
+    }
+
+}
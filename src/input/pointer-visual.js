@@ -0,0 +1,228 @@
+/**
+* VRUI Javascript UI Library
+* https://github.com/artflow-vr/vr-ui
+*
+* MIT License
+*
+* Copyright (c) 2017 artflow-vr
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy
+* of this software and associated documentation files (the "Software"), to deal
+* in the Software without restriction, including without limitation the rights
+* to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+* copies of the Software, and to permit persons to whom the Software is
+* furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all
+* copies or substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+* IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+* FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+* AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+* LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+* SOFTWARE.
+*/
+
+import * as Colors from '../utils/colors';
+import { setUndefinedProps } from '../utils/property-check';
+
+// Distance, in Three.js units, between the reticle and the hit surface.
+// It prevents z-fighting.
+const RETICLE_OFFSET = 0.002;
+
+const RETICLE_SEGMENTS = 32;
+const RETICLE_GEOM = new THREE.RingGeometry( 0.5, 1.0, RETICLE_SEGMENTS );
+// Indices drawn by each segment of the progress ring.
+const SEGMENT_INDICES = 6;
+
+const _end = new THREE.Vector3();
+
+/**
+ *
+ * Draws the pointer of an input: a laser ray starting from the input, and
+ * stopping at the hit point, as well as a reticle on the element pointed at.
+ * The reticle keeps the same apparent size whatever its distance, and its
+ * color shows whether the input hovers or presses the UI. If the input has
+ * a `progress' attribute, e.g: VRUI.GazeInput, it is displayed as a ring
+ * filling clockwise.
+ *
+ * Visuals are created with `VRUI.setPointerVisual()', and updated by
+ * `VRUI.update()'. They are added to the scene the UI belongs to.
+ *
+ * @export
+ * @class PointerVisual
+ */
+export default class PointerVisual {
+
+    /**
+     * Creates an instance of PointerVisual.
+     *
+     * @param {Object} [data] - Visual relative data. e.g:
+     * {
+     *     ray: true, // Whether the ray is drawn
+     *     rayLength: 5.0, // Length of the ray when nothing is hit
+     *     rayMaterial: new THREE.LineBasicMaterial( ... ),
+     *     reticleMaterial: new THREE.MeshBasicMaterial( ... ),
+     *     reticleSize: 0.01, // Radius of the reticle, 1 unit away
+     *     colors: {
+     *         idle: 0xffffff,
+     *         hover: 0x3498db,
+     *         pressed: 0xe67e22,
+     *         progress: 0xe67e22
+     *     }
+     * }
+     * Materials are cloned, and their color changes with the state of the
+     * input.
+     * @memberof PointerVisual
+     */
+    constructor( data ) {
+
+        this.data = data ? Object.assign( {}, data ) : {};
+        // Falsy values are replaced by setUndefinedProps().
+        this.data.ray = this.data.ray !== undefined ? Boolean( this.data.ray ) : true;
+        setUndefinedProps( {
+            rayLength: 5.0,
+            reticleSize: 0.01,
+            colors: {
+                idle: Colors.POINTER,
+                hover: Colors.POINTER_HOVER,
+                pressed: Colors.POINTER_PRESSED,
+                progress: Colors.POINTER_PRESSED
+            }
+        }, this.data );
+
+        this.group = new THREE.Group();
+
+        let rayMaterial = this.data.rayMaterial;
+        rayMaterial = rayMaterial ? rayMaterial.clone() : new THREE.LineBasicMaterial( {
+            transparent: true,
+            opacity: 0.8
+        } );
+        let rayGeometry = new THREE.BufferGeometry();
+        rayGeometry.addAttribute( `position`, new THREE.BufferAttribute( new Float32Array( 6 ), 3 ) );
+        this.rayMesh = new THREE.Line( rayGeometry, rayMaterial );
+        this.rayMesh.frustumCulled = false;
+        this.rayMesh.visible = this.data.ray;
+
+        let reticleMaterial = this.data.reticleMaterial;
+        reticleMaterial = reticleMaterial ? reticleMaterial.clone() : new THREE.MeshBasicMaterial( {
+            side: THREE.DoubleSide,
+            depthWrite: false,
+            transparent: true
+        } );
+        this.reticleMesh = new THREE.Mesh( RETICLE_GEOM, reticleMaterial );
+        this.reticleMesh.visible = false;
+
+        // Progress ring, starting at the top of the reticle. The ring is
+        // mirrored to fill clockwise, and partially drawn.
+        let progressGeometry = new THREE.RingBufferGeometry(
+            0.5, 1.0, RETICLE_SEGMENTS, 1, Math.PI * 0.5, Math.PI * 2.0
+        );
+        let progressMaterial = reticleMaterial.clone();
+        progressMaterial.color.set( this.data.colors.progress );
+        this.progressMesh = new THREE.Mesh( progressGeometry, progressMaterial );
+        this.progressMesh.scale.x = - 1.0;
+        this.progressMesh.position.z = RETICLE_OFFSET * 0.5;
+        this.progressMesh.visible = false;
+        this.reticleMesh.add( this.progressMesh );
+
+        this.group.add( this.rayMesh );
+        this.group.add( this.reticleMesh );
+        // The visual is not part of the scene content, raycasts of the
+        // application should not hit it.
+        this.group.traverse( ( child ) => {
+
+            child.raycast = () => {};
+
+        } );
+
+        // 'idle', 'hover' or 'pressed'.
+        this.state = null;
+        this._setState( `idle` );
+
+    }
+
+    /**
+     * Moves the ray and the reticle.
+     *
+     * @param {VRUI.AbstractInput} input - Input to draw.
+     * @param {Object} intersection - Intersection of the input with the UI,
+     * or null if nothing is hit.
+     * @memberof PointerVisual
+     */
+    update( input, intersection ) {
+
+        this.group.visible = true;
+
+        let ray = input.raycaster.ray;
+        let distance = intersection ? intersection.distance : this.data.rayLength;
+        _end.copy( ray.direction ).multiplyScalar( distance ).add( ray.origin );
+
+        let positions = this.rayMesh.geometry.attributes.position;
+        positions.setXYZ( 0, ray.origin.x, ray.origin.y, ray.origin.z );
+        positions.setXYZ( 1, _end.x, _end.y, _end.z );
+        positions.needsUpdate = true;
+
+        let reticle = this.reticleMesh;
+        reticle.visible = Boolean( intersection );
+        if ( intersection ) {
+            // The reticle faces the input, slightly in front of the surface.
+            reticle.position.copy( ray.direction ).multiplyScalar( - RETICLE_OFFSET ).add( _end );
+            reticle.lookAt( ray.origin );
+            reticle.scale.setScalar( this.data.reticleSize * Math.max( distance, RETICLE_OFFSET ) );
+        }
+
+        let progress = input.progress || 0.0;
+        let segments = Math.round( Math.min( progress, 1.0 ) * RETICLE_SEGMENTS );
+        this.progressMesh.visible = segments > 0;
+        this.progressMesh.geometry.setDrawRange( 0, segments * SEGMENT_INDICES );
+
+        let state = `idle`;
+        if ( intersection ) state = input.state.pressed ? `pressed` : `hover`;
+        this._setState( state );
+
+    }
+
+    /**
+     * Shows or hides the whole visual, e.g: when the input is disabled.
+     *
+     * @param {boolean} visible - true to show the visual.
+     * @memberof PointerVisual
+     */
+    setVisible( visible ) {
+
+        this.group.visible = visible;
+
+    }
+
+    /**
+     * Removes the visual from the scene, and releases its resources.
+     *
+     * @memberof PointerVisual
+     */
+    dispose() {
+
+        if ( this.group.parent ) this.group.parent.remove( this.group );
+        this.rayMesh.geometry.dispose();
+        this.rayMesh.material.dispose();
+        this.reticleMesh.material.dispose();
+        this.progressMesh.geometry.dispose();
+        this.progressMesh.material.dispose();
+
+    }
+
+    _setState( state ) {
+
+        if ( state === this.state ) return;
+        this.state = state;
+
+        let color = this.data.colors[ state ];
+        if ( color === undefined || color === null ) return;
+        for ( let material of [ this.rayMesh.material, this.reticleMesh.material ] )
+            if ( material.color ) material.color.set( color );
+
+    }
+
+}
@@ -0,0 +1,172 @@
+/**
+* VRUI Javascript UI Library
+* https://github.com/artflow-vr/vr-ui
+*
+* MIT License
+*
+* Copyright (c) 2017 artflow-vr
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy
+* of this software and associated documentation files (the "Software"), to deal
+* in the Software without restriction, including without limitation the rights
+* to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+* copies of the Software, and to permit persons to whom the Software is
+* furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all
+* copies or substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+* IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+* FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+* AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+* LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+* SOFTWARE.
+*/
+
+import { setUndefinedProps } from '../utils/property-check';
+
+const _axis = new THREE.Vector3();
+const _position = new THREE.Vector3();
+const _toCamera = new THREE.Vector3();
+const _rotation = new THREE.Matrix4();
+
+/**
+ *
+ * Shows and hides a UI from a VR controller, or any THREE.Object3D. Two
+ * gestures are supported:
+ *
+ * - SummonGesture.BUTTON: the UI is toggled each time the button is
+ * pressed. The button is read from the object user data, as for
+ * VRUI.ObjectInput, e.g:
+ *
+ * controller.userData.vrui.menu = true; // or false
+ *
+ * - SummonGesture.WRIST: the UI is shown while the user looks at their
+ * wrist, i.e: while the given axis of the object points toward the camera,
+ * and hidden when they look away.
+ *
+ * Gestures are created with `VRUI.addSummonGesture()', and updated by
+ * `VRUI.update()'.
+ *
+ * @export
+ * @class SummonGesture
+ */
+export default class SummonGesture {
+
+    /**
+     * Creates an instance of SummonGesture.
+     *
+     * @param {VRUI} ui - UI to show and hide.
+     * @param {THREE.Object3D} object - Object performing the gesture.
+     * @param {Object} [data] - Gesture relative data. e.g:
+     * {
+     *     type: SummonGesture.WRIST,
+     *     button: 'menu', // Only used by SummonGesture.BUTTON
+     *     camera: camera, // Only used by SummonGesture.WRIST
+     *     axis: { x: 0, y: 1, z: 0 }, // In the object space
+     *     angle: 30, // Tolerance in degrees
+     *     delay: 0.2, // Time the wrist should be held, in seconds
+     *     animation: { duration: 0.2 } // Given to `VRUI.show()'
+     * }
+     * @memberof SummonGesture
+     */
+    constructor( ui, object, data ) {
+
+        if ( !( object instanceof THREE.Object3D ) ) {
+            let errorMsg = `gesture object is not a THREE.Object3D instance.`;
+            throw new TypeError( `SummonGesture.ctor(): ` + errorMsg );
+        }
+
+        this.data = data ? Object.assign( {}, data ) : {};
+        setUndefinedProps( {
+            type: SummonGesture.BUTTON,
+            button: `menu`,
+            camera: null,
+            axis: { x: 0.0, y: 1.0, z: 0.0 },
+            angle: 30.0,
+            delay: 0.2,
+            animation: null
+        }, this.data );
+
+        if ( this.data.type === SummonGesture.WRIST && !this.data.camera ) {
+            let errorMsg = `the wrist gesture needs a camera.`;
+            throw new TypeError( `SummonGesture.ctor(): ` + errorMsg );
+        }
+
+        this.ui = ui;
+        this.object = object;
+        this.enabled = true;
+
+        this._axis = new THREE.Vector3().copy( this.data.axis ).normalize();
+        // Last button state, only a new press toggles the UI.
+        this._pressed = false;
+        // Whether the wrist is turned toward the camera, and for how long
+        // the gesture has been in its current state.
+        this._looking = false;
+        this._elapsed = 0.0;
+        this._triggered = true;
+
+    }
+
+    /**
+     * Detects the gesture, and shows or hides the UI.
+     *
+     * @param {number} dt - Elapsed time since the last update, in seconds.
+     * @memberof SummonGesture
+     */
+    update( dt ) {
+
+        if ( !this.enabled ) return;
+
+        if ( this.data.type === SummonGesture.WRIST ) this._updateWrist( dt || 0.0 );
+        else this._updateButton();
+
+    }
+
+    _updateButton() {
+
+        let userData = this.object.userData.vrui;
+        let pressed = Boolean( userData && userData[ this.data.button ] );
+        if ( pressed && !this._pressed ) this.ui.toggle( this.data.animation );
+        this._pressed = pressed;
+
+    }
+
+    _updateWrist( dt ) {
+
+        let object = this.object;
+        let camera = this.data.camera;
+
+        _rotation.extractRotation( object.matrixWorld );
+        _axis.copy( this._axis ).applyMatrix4( _rotation );
+        _position.setFromMatrixPosition( object.matrixWorld );
+        _toCamera.setFromMatrixPosition( camera.matrixWorld ).sub( _position );
+
+        let angle = _axis.angleTo( _toCamera ) * 180.0 / Math.PI;
+        let looking = angle <= this.data.angle;
+
+        if ( looking !== this._looking ) {
+            this._looking = looking;
+            this._elapsed = 0.0;
+            this._triggered = false;
+        }
+
+        // The gesture should be held for a while, to avoid flickering. The
+        // UI is only shown or hidden once per gesture, it can still be
+        // toggled by other means meanwhile.
+        this._elapsed += dt;
+        if ( this._triggered || this._elapsed < this.data.delay ) return;
+        this._triggered = true;
+
+        let ui = this.ui;
+        if ( looking && !ui.visible ) ui.show( this.data.animation );
+        else if ( !looking && ui.visible ) ui.hide( this.data.animation );
+
+    }
+
+}
+
+SummonGesture.BUTTON = 0x0;
+SummonGesture.WRIST = 0x1;
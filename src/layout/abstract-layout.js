@@ -26,6 +26,7 @@
 */
 
 import Element from "../element";
+import { parseSelector, matchSelector } from '../utils/selector';
 
 /**
  *
@@ -46,14 +47,6 @@ export default class AbstractLayout extends Element {
         super( data, style );
         this._elements = [];
 
-        this._onHoverExitWrapper = () => {
-
-            if ( this._onHoverExit ) this._onHoverExit( this );
-
-            this._forceExit();
-
-        };
-
     }
 
     /**
@@ -75,6 +68,175 @@ export default class AbstractLayout extends Element {
         else
             this._addItem( element );
 
+        this.requestLayout();
+
+    }
+
+    /**
+     * Inserts an element at the given index. If the element already belongs
+     * to a layout, it is moved. The layout is refreshed during the next update
+     * of the VRUI.
+     *
+     * @param {VRUI.Element} element - Element to insert.
+     * @param {number} index - Index among the children, clamped to the
+     * number of children.
+     * @memberof AbstractLayout
+     */
+    insert( element, index ) {
+
+        let length = this._elements.length;
+        if ( element.parent === this ) --length;
+
+        this._addItem( element, Math.min( Math.max( index, 0 ), length ) );
+        this.requestLayout();
+
+    }
+
+    /**
+     * Removes an element from the layout. Inputs hovering or pressing it are
+     * released, and the layout is refreshed during the next update of the
+     * VRUI. A `childremove' event is dispatched from the layout, with the
+     * removed element in `detail.elements'.
+     *
+     * @param {VRUI.Element} element - Child to remove.
+     * @returns {VRUI.Element} the removed element, or null if it is not a
+     * child of this layout.
+     * @memberof AbstractLayout
+     */
+    remove( element ) {
+
+        let index = this._elements.indexOf( element );
+        if ( index < 0 ) return null;
+
+        this._removeItem( index );
+        this.requestLayout();
+        this._emit( `childremove`, null, null, { elements: [ element ] } );
+        return element;
+
+    }
+
+    /**
+     * Replaces a child by another element, at the same index. A
+     * `childremove' event is dispatched from the layout, with the replaced
+     * element in `detail.elements'.
+     *
+     * @param {VRUI.Element} oldElement - Child to replace.
+     * @param {VRUI.Element} newElement - Element taking its place.
+     * @returns {VRUI.Element} the replaced element, or null if it is not a
+     * child of this layout.
+     * @memberof AbstractLayout
+     */
+    replace( oldElement, newElement ) {
+
+        if ( !this._elements.includes( oldElement ) ) return null;
+        if ( newElement === oldElement ) return oldElement;
+
+        // The new element may already be a child placed before the old one,
+        // it is detached first so that the index stays valid.
+        if ( newElement.parent === this )
+            this._removeItem( this._elements.indexOf( newElement ) );
+
+        let index = this._elements.indexOf( oldElement );
+        this._removeItem( index );
+        this._addItem( newElement, index );
+        this.requestLayout();
+        this._emit( `childremove`, null, null, { elements: [ oldElement ] } );
+        return oldElement;
+
+    }
+
+    /**
+     * Removes every child of the layout. A single `childremove' event is
+     * dispatched from the layout, with every child in `detail.elements'.
+     *
+     * @returns {Array[VRUI.Element]} the removed elements.
+     * @memberof AbstractLayout
+     */
+    clear() {
+
+        let removed = this._elements.slice();
+        while ( this._elements.length > 0 ) this._removeItem( this._elements.length - 1 );
+        this.requestLayout();
+        if ( removed.length > 0 )
+            this._emit( `childremove`, null, null, { elements: removed } );
+        return removed;
+
+    }
+
+    /**
+     * Finds the first element matching the predicate, among all the
+     * descendants of the layout. Elements are visited breadth-first.
+     *
+     * @param {function} predicate - function( element ) returning true when
+     * the element matches.
+     * @returns {VRUI.Element} the element, or null if none matches.
+     * @memberof AbstractLayout
+     */
+    find( predicate ) {
+
+        return this._visit( ( elt ) => predicate( elt ) ? elt : null );
+
+    }
+
+    /**
+     * Finds every descendant of the layout matching the predicate.
+     *
+     * @param {function} predicate - function( element ) returning true when
+     * the element matches.
+     * @returns {Array[VRUI.Element]} the matching elements, breadth-first.
+     * @memberof AbstractLayout
+     */
+    findAll( predicate ) {
+
+        let result = [];
+        this._visit( ( elt ) => {
+
+            if ( predicate( elt ) ) result.push( elt );
+            return null;
+
+        } );
+        return result;
+
+    }
+
+    /**
+     * @param {any} id - Value of the `id' data of the element.
+     * @returns {VRUI.Element} the first descendant with the given id, or null.
+     * @memberof AbstractLayout
+     */
+    getElementById( id ) {
+
+        return this.find( ( elt ) => elt.data.id === id );
+
+    }
+
+    /**
+     * Finds the descendants matching a selector. Selectors can contain types,
+     * ids, descendant combinators and lists, e.g: 'slider',
+     * 'vertical-layout #size', 'checkbox, slider'.
+     *
+     * @param {string} selector - Selector to match.
+     * @returns {Array[VRUI.Element]} the matching elements, breadth-first.
+     * @memberof AbstractLayout
+     */
+    querySelectorAll( selector ) {
+
+        let chains = parseSelector( selector );
+        return this.findAll( ( elt ) => matchSelector( elt, chains ) );
+
+    }
+
+    /**
+     * @param {string} selector - Selector to match, see `querySelectorAll()'.
+     * @returns {VRUI.Element} the first descendant matching the selector, or
+     * null.
+     * @memberof AbstractLayout
+     */
+    querySelector( selector ) {
+
+        let chains = parseSelector( selector );
+        return this.find( ( elt ) => matchSelector( elt, chains ) );
+
     }
 
     clone( ) {
@@ -87,14 +249,22 @@ export default class AbstractLayout extends Element {
 
     }
 
-    _addItem( element ) {
+    _addItem( element, index ) {
 
         if ( !( element instanceof Element ) ) {
             let errorMsg = `provided element is not an instance of Element`;
             throw Error( `AbstractLayout: addView(): ` + errorMsg );
         }
 
-        this._elements.push( element );
+        // An element can only belong to one layout.
+        let parent = element.parent;
+        if ( parent instanceof AbstractLayout ) {
+            parent._removeItem( parent._elements.indexOf( element ) );
+            if ( parent !== this ) parent.requestLayout();
+        }
+
+        if ( index === undefined ) this._elements.push( element );
+        else this._elements.splice( index, 0, element );
         // Gross hack allowing to keep a simple _refreshLayout method.
         element._parentDimensions = this._dimensions;
         element.parent = this;
@@ -103,21 +273,108 @@ export default class AbstractLayout extends Element {
         // layouts / views hierarchy.
         this.group.add( element.group );
 
+        // The previous layout lost a child, once the move is done.
+        if ( parent instanceof AbstractLayout && parent !== this )
+            parent._emit( `childremove`, null, null, { elements: [ element ] } );
+
     }
 
-    _forceExit() {
+    _removeItem( index ) {
+
+        let element = this._elements[ index ];
+        for ( let input of Array.from( element._inputStates.keys() ) )
+            element._forceExit( input );
+
+        this._elements.splice( index, 1 );
+        element._parentDimensions = null;
+        element.parent = null;
+
+        this.group.remove( element.group );
+
+    }
+
+    _update( dt ) {
+
+        for ( let elt of this._elements ) elt._update( dt );
+
+    }
+
+    _layout() {
+
+        if ( this._dirtyChildren ) {
+            this._dirtyChildren = false;
+            // Children growing or shrinking mark the layout as dirty.
+            for ( let elt of this._elements ) elt._layout();
+        }
+        if ( this._dirty ) this._relayout();
+
+    }
 
-        if ( !this.hover ) return;
+    _dispose() {
 
         for ( let elt of this._elements ) {
-            if ( elt._forceExit ) {
-                elt._forceExit();
-                if ( elt._onHoverExit )
-                    elt._onHoverExit( elt, { info: null } );
-            }
-            elt.hover = false;
+            elt._dispose();
+            elt.parent = null;
+        }
+        this._elements = [];
+
+        super._dispose();
+
+    }
+
+    /**
+     * Visits the descendants of the layout breadth-first, until the callback
+     * returns a value.
+     *
+     * @returns the first value returned by the callback, or null.
+     */
+    _visit( callback ) {
+
+        let visited = this._elements.slice();
+        while ( visited.length > 0 ) {
+            let elt = visited.shift();
+            let res = callback( elt );
+            if ( res ) return res;
+
+            if ( elt._elements )
+                for ( let e of elt._elements ) visited.push( e );
+        }
+        return null;
+
+    }
+
+    /**
+     * Releases the layout, as well as all its children, for the given input.
+     *
+     * @param {VRUI.AbstractInput} input - Input to release.
+     * @memberof AbstractLayout
+     */
+    _forceExit( input ) {
+
+        // Children can only be hovered or pressed if the layout is.
+        if ( !this._inputStates.has( input ) ) return;
+
+        for ( let elt of this._elements ) elt._forceExit( input );
+        super._forceExit( input );
+
+    }
+
+    _intersectAttached( state ) {
+
+        let input = state.input;
+        let intersectionInfo = null;
+        for ( let elt of this._elements )
+            intersectionInfo = elt._intersectAttached( state ) || intersectionInfo;
+
+        if ( !intersectionInfo ) {
+            this._forceExit( input );
+            return null;
         }
-        this.hover = false;
+
+        // The layout is hovered through its child, without being pointed at.
+        let inputState = this._getInputState( input );
+        if ( !inputState.hover ) this._setInputHover( inputState, input );
+        return intersectionInfo;
 
     }
 
@@ -132,14 +389,14 @@ export default class AbstractLayout extends Element {
      */
     _intersect( raycaster, state ) {
 
-        let intersectionInfo = this._checkHover( raycaster, this._background,
-            this._onHoverEnter, this._onHoverExitWrapper );
+        let intersectionInfo = this._checkHover( raycaster, state,
+            this._background );
         if ( !intersectionInfo )
             return null;
 
         for ( let elt of this._elements ) {
             if ( !elt._intersect( raycaster, state ) ) {
-                elt._forceExit();
+                elt._forceExit( state.input );
             }
         }
 
@@ -26,24 +26,112 @@
 */
 
 import AbstractLayout from './abstract-layout';
+import { parseLength, resolveLength } from '../utils/size';
 
+const MAX_SPAN = 1000;
+
+let getSpan = ( elt, key, max ) => {
+
+    return Math.min( Math.max( Math.floor( elt.style[ key ] || 1 ), 1 ), Math.min( max, MAX_SPAN ) );
+
+};
+
+let isTrack = ( value ) => {
+
+    return value === undefined || ( typeof value === `number` && value >= 0.0 ) ||
+        ( typeof value === `string` && parseLength( value ) !== null );
+
+};
+
+/**
+ * Splits the available space between tracks, i.e: columns or rows. Numbers
+ * are weights sharing the space left by the lengths, e.g: '2cm' or '25%'.
+ *
+ * @returns {Array[Object]} the `start' and the `size' of each track.
+ */
+let computeTracks = ( tracks, available, gap ) => {
+
+    let weights = 0.0;
+    let free = available - gap * Math.max( tracks.length - 1, 0 );
+    for ( let track of tracks ) {
+        if ( typeof track === `number` ) weights += track;
+        else free -= resolveLength( track, available );
+    }
+    free = Math.max( free, 0.0 );
+
+    let start = 0.0;
+    return tracks.map( ( track ) => {
+
+        let size = 0.0;
+        if ( typeof track !== `number` ) size = resolveLength( track, available );
+        else if ( weights > 0.0 ) size = free * track / weights;
+
+        let result = { start: start, size: size };
+        start += size + gap;
+        return result;
+
+    } );
+
+};
+
+/**
+ * Size of a child spanning several tracks, gaps included.
+ */
+let getAreaSize = ( tracks, first, span ) => {
+
+    let last = tracks[ first + span - 1 ];
+    return last.start + last.size - tracks[ first ].start;
+
+};
+
+/**
+ *
+ * Layout placing its children in the cells of a grid, row by row.
+ *
+ * The data object can contain:
+ * - columns: number of columns.
+ * - rows: number of rows. Optional when `autoRows' is set.
+ * - columnSizes, rowSizes: size of each column or row. Numbers are weights
+ * sharing the space, strings are lengths, e.g: [ 1, 2, '3cm' ]. Tracks are
+ * evenly sized by default.
+ * - autoRows: if true, rows are created as items are added, and the grid is
+ * never full.
+ * - autoRowSize: size of the rows missing from `rowSizes', e.g: the ones
+ * created by `autoRows'. Defaults to a weight of 1.
+ *
+ * The layout style supports `gap', or `columnGap' and `rowGap', to leave
+ * gutters between the cells. Children can span several cells with their
+ * `colSpan' and `rowSpan' style properties.
+ *
+ * @export
+ * @class GridLayout
+ */
 export default class GridLayout extends AbstractLayout {
 
     constructor( data, style ) {
 
-        if ( !data || !data.rows || !data.columns ) {
+        if ( !data || !data.columns || ( !data.rows && !data.autoRows ) ) {
             let errorMsg = `data object should at least contains 'columns' `;
             errorMsg += `and 'rows' properties.`;
             throw Error( `GridLayout.ctor(): ` + errorMsg );
         }
 
+        let sizes = ( data.columnSizes || [] ).concat( data.rowSizes || [], [ data.autoRowSize ] );
+        for ( let size of sizes ) {
+            if ( isTrack( size ) ) continue;
+            let errorMsg = `track size '` + size + `' should be a positive weight, `;
+            errorMsg += `or a length, e.g: '2cm' or '25%'.`;
+            throw new TypeError( `GridLayout.ctor(): ` + errorMsg );
+        }
+
         super( data, style );
+        this.type = `grid-layout`;
 
     }
 
-    refresh( maxWidth, maxHeight ) {
+    refresh( maxWidth, maxHeight, size ) {
 
-        super.refresh( maxWidth, maxHeight );
+        super.refresh( maxWidth, maxHeight, size );
 
         let dimensions = this._dimensions;
         let padRel = dimensions.padding;
@@ -58,37 +146,26 @@ export default class GridLayout extends AbstractLayout {
             |________________|
         */
 
-        let nbRows = this.data.rows;
-        let nbColumns = this.data.columns;
-
         // Computes bounds by adding padding to the whole grid.
         // The new width is the total width witout the padding width,
         // The new height is the total height witout the padding height.
         let paddedWidth = dimensions.width - ( padRel.left + padRel.right );
         let paddedHeight = dimensions.height - ( padRel.top + padRel.bottom );
 
-        // Computes the maximum size occupied by each element,
-        // taking padding into account.
-        let maxEltWidthPad = paddedWidth / nbColumns;
-        let maxEltHeightPad = paddedHeight / nbRows;
-
-        let offset = {
-            x: padRel.left,
-            y: - padRel.top
-        };
-
-        let initXOffset = offset.x;
+        let placement = this._placeItems();
+        let tracks = this._computeTracks( paddedWidth, paddedHeight, placement.rows );
 
-        // TODO: Fix positionning with padding not working.
         for ( let i = 0; i < this._elements.length; ++i ) {
             let elt = this._elements[ i ];
-            elt.refresh( maxEltWidthPad, maxEltHeightPad );
-            let eltDim = elt._dimensions;
+            let cell = placement.cells[ i ];
+            let column = tracks.columns[ cell.column ];
+            let row = tracks.rows[ cell.row ];
 
-            if ( i % nbColumns === 0 && i !== 0 ) {
-                offset.x = initXOffset;
-                offset.y -= maxEltHeightPad;
-            }
+            let areaWidth = getAreaSize( tracks.columns, cell.column, cell.colSpan );
+            let areaHeight = getAreaSize( tracks.rows, cell.row, cell.rowSpan );
+
+            elt.refresh( areaWidth, areaHeight );
+            let eltDim = elt._dimensions;
 
             let itemOffset = {
                 x: 0.0,
@@ -97,10 +174,10 @@ export default class GridLayout extends AbstractLayout {
 
             switch ( elt.style.position ) {
                 case `right`:
-                    itemOffset.x = maxEltWidthPad - eltDim.width;
+                    itemOffset.x = areaWidth - eltDim.width;
                     break;
                 case `center`:
-                    itemOffset.x = maxEltWidthPad * 0.5 - eltDim.halfW;
+                    itemOffset.x = areaWidth * 0.5 - eltDim.halfW;
                     break;
             }
 
@@ -110,19 +187,77 @@ export default class GridLayout extends AbstractLayout {
                     // We do not need to do anything here.
                     break;
                 case `bottom`:
-                    itemOffset.y = -maxEltHeightPad + eltDim.height;
+                    itemOffset.y = -areaHeight + eltDim.height;
                     break;
                 case `center`:
-                    itemOffset.y = -maxEltHeightPad * 0.5 + eltDim.halfH;
+                    itemOffset.y = -areaHeight * 0.5 + eltDim.halfH;
                     break;
             }
 
-            elt.group.position.x = offset.x + itemOffset.x;
-            elt.group.position.y = offset.y + itemOffset.y;
+            elt.group.position.x = padRel.left + column.start + itemOffset.x;
+            elt.group.position.y = - ( padRel.top + row.start ) + itemOffset.y;
+            elt._applyTransform();
+        }
+
+    }
+
+    /**
+     * Wrapped grids size their weighted tracks so that every child fits in
+     * its cells.
+     */
+    _measureContent( maxWidth, maxHeight, width, height ) {
+
+        let availableWidth = width !== null ? width : maxWidth;
+        let availableHeight = height !== null ? height : maxHeight;
+
+        let placement = this._placeItems();
+        let tracks = this._computeTracks( availableWidth, availableHeight, placement.rows );
+        let columnTracks = this._getColumnTracks();
+        let rowTracks = this._getRowTracks( this.data.autoRows ? placement.rows : this.data.rows );
+        let gaps = this._getGaps( availableWidth, availableHeight );
+
+        // Size of a weight of 1 along each axis.
+        let unit = { width: 0.0, height: 0.0 };
+        let fit = ( axis, values, first, span, size, gap ) => {
+
+            // Children overflowing a fixed grid do not change its size.
+            let last = first + span;
+            if ( last > values.length ) return;
+
+            let weights = 0.0;
+            let fixed = gap * ( span - 1 );
+            for ( let i = first; i < last; ++i ) {
+                if ( typeof values[ i ] === `number` ) weights += values[ i ];
+                else fixed += resolveLength( values[ i ], axis === `width` ? availableWidth : availableHeight );
+            }
+            if ( weights > 0.0 ) unit[ axis ] = Math.max( unit[ axis ], ( size - fixed ) / weights );
+
+        };
 
-            offset.x += maxEltWidthPad;
+        for ( let i = 0; i < this._elements.length; ++i ) {
+            let cell = placement.cells[ i ];
+            let size = this._elements[ i ].measure(
+                getAreaSize( tracks.columns, cell.column, cell.colSpan ),
+                getAreaSize( tracks.rows, cell.row, cell.rowSpan )
+            );
+            fit( `width`, columnTracks, cell.column, cell.colSpan, size.width, gaps.column );
+            fit( `height`, rowTracks, cell.row, cell.rowSpan, size.height, gaps.row );
         }
 
+        let total = ( axis, values, gap, available ) => {
+
+            let sum = gap * Math.max( values.length - 1, 0 );
+            for ( let value of values )
+                sum += typeof value === `number` ? value * unit[ axis ] : resolveLength( value, available );
+            return sum;
+
+        };
+
+        return {
+            width: width !== null ? width : total( `width`, columnTracks, gaps.column, availableWidth ),
+            height: height !== null ? height : total( `height`, rowTracks, gaps.row, availableHeight )
+        };
+
     }
 
     /**
@@ -132,13 +267,115 @@ export default class GridLayout extends AbstractLayout {
      */
     isFull() {
 
-        return this._elements.length === this.data.columns * this.data.rows;
+        if ( this.data.autoRows ) return false;
+
+        let cells = 0;
+        for ( let elt of this._elements ) {
+            cells += getSpan( elt, `colSpan`, this.data.columns ) *
+                getSpan( elt, `rowSpan`, this.data.rows );
+        }
+        return cells >= this.data.columns * this.data.rows;
 
     }
 
-    clone() {
+    /**
+     * Places the children row by row, each one in the first free area large
+     * enough for its spans, after the previous child.
+     *
+     * @returns {Object} the cell of each child, with its spans, and the
+     * number of rows used.
+     */
+    _placeItems() {
 
-        return new GridLayout( this.data, this.style );
+        let nbColumns = this.data.columns;
+        let occupied = [];
+        let isFree = ( row, column, colSpan, rowSpan ) => {
+
+            for ( let r = row; r < row + rowSpan; ++r ) {
+                for ( let c = column; c < column + colSpan; ++c )
+                    if ( occupied[ r ] && occupied[ r ][ c ] ) return false;
+            }
+            return true;
+
+        };
+
+        let cells = [];
+        let nbRows = this.data.rows || 0;
+        let cursor = 0;
+        for ( let elt of this._elements ) {
+            let colSpan = getSpan( elt, `colSpan`, nbColumns );
+            let rowSpan = getSpan( elt, `rowSpan`, MAX_SPAN );
+
+            let row = Math.floor( cursor / nbColumns );
+            let column = cursor % nbColumns;
+            while ( column + colSpan > nbColumns || !isFree( row, column, colSpan, rowSpan ) ) {
+                ++cursor;
+                row = Math.floor( cursor / nbColumns );
+                column = cursor % nbColumns;
+            }
+
+            for ( let r = row; r < row + rowSpan; ++r ) {
+                occupied[ r ] = occupied[ r ] || [];
+                for ( let c = column; c < column + colSpan; ++c ) occupied[ r ][ c ] = true;
+            }
+
+            cells.push( { column: column, row: row, colSpan: colSpan, rowSpan: rowSpan } );
+            nbRows = Math.max( nbRows, row + rowSpan );
+            cursor += colSpan;
+        }
+
+        return { cells: cells, rows: Math.max( nbRows, 1 ) };
+
+    }
+
+    _computeTracks( width, height, nbRows ) {
+
+        let gaps = this._getGaps( width, height );
+        let fixedRows = this.data.autoRows ? nbRows : this.data.rows;
+        let rows = computeTracks( this._getRowTracks( fixedRows ), height, gaps.row );
+
+        // Children overflowing a fixed grid are placed below it, in rows
+        // repeating the sizes of the grid.
+        for ( let i = rows.length; i < nbRows; ++i ) {
+            let previous = rows[ i - 1 ];
+            rows.push( { start: previous.start + previous.size + gaps.row, size: rows[ i % fixedRows ].size } );
+        }
+
+        return {
+            columns: computeTracks( this._getColumnTracks(), width, gaps.column ),
+            rows: rows
+        };
+
+    }
+
+    _getColumnTracks() {
+
+        let sizes = this.data.columnSizes || [];
+        let tracks = [];
+        for ( let i = 0; i < this.data.columns; ++i )
+            tracks.push( sizes[ i ] !== undefined ? sizes[ i ] : 1.0 );
+        return tracks;
+
+    }
+
+    _getRowTracks( nbRows ) {
+
+        let sizes = this.data.rowSizes || [];
+        let autoSize = this.data.autoRowSize !== undefined ? this.data.autoRowSize : 1.0;
+        let tracks = [];
+        for ( let i = 0; i < nbRows; ++i ) tracks.push( sizes[ i ] !== undefined ? sizes[ i ] : autoSize );
+        return tracks;
+
+    }
+
+    _getGaps( width, height ) {
+
+        let style = this.style;
+        let gap = style.gap || 0.0;
+        return {
+            column: resolveLength( style.columnGap !== undefined ? style.columnGap : gap, width ),
+            row: resolveLength( style.rowGap !== undefined ? style.rowGap : gap, height )
+        };
 
     }
 
@@ -28,9 +28,15 @@
 import VerticalLayout from './vertical-layout';
 import HorizontalLayout from './horizontal-layout';
 import GridLayout from './grid-layout';
+import ScrollLayout from './scroll-layout';
+import StackLayout from './stack-layout';
+import RadialLayout from './radial-layout';
 
 export {
     VerticalLayout,
     HorizontalLayout,
-    GridLayout
+    GridLayout,
+    ScrollLayout,
+    StackLayout,
+    RadialLayout
 };
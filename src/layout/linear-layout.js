@@ -26,12 +26,362 @@
 */
 
 import AbstractLayout from './abstract-layout';
+import { parseLength, resolveLength } from '../utils/size';
 
+const FULL_EPSILON = 0.000001;
+
+// Names of the dimensions, margins and style properties along the main axis,
+// i.e: the one children are stacked on, and along the cross axis.
+const AXES = {
+    horizontal: {
+        main: `width`, cross: `height`,
+        start: `left`, end: `right`,
+        crossStart: `top`, crossEnd: `bottom`,
+        mainStyle: `position`, crossStyle: `align`
+    },
+    vertical: {
+        main: `height`, cross: `width`,
+        start: `top`, end: `bottom`,
+        crossStart: `left`, crossEnd: `right`,
+        mainStyle: `align`, crossStyle: `position`
+    }
+};
+
+let getGrow = ( elt ) => {
+
+    return elt.style.grow !== undefined ? elt.style.grow : ( elt.style.weight || 0.0 );
+
+};
+
+let getOuterSize = ( elt, axis, cross = false ) => {
+
+    let eltDim = elt._dimensions;
+    if ( cross )
+        return eltDim[ axis.cross ] + eltDim.margin[ axis.crossStart ] + eltDim.margin[ axis.crossEnd ];
+    return eltDim[ axis.main ] + eltDim.margin[ axis.start ] + eltDim.margin[ axis.end ];
+
+};
+
+/**
+ * Converts a `position' or `align' style value to a placement on an axis.
+ */
+let getPlacement = ( value, start, end ) => {
+
+    if ( value === start ) return `start`;
+    if ( value === end ) return `end`;
+    return `center`;
+
+};
+
+/**
+ *
+ * Layout stacking its children along one axis, like a flexbox container.
+ * HorizontalLayout and VerticalLayout only differ by their orientation.
+ *
+ * The layout style supports:
+ * - gap: space between two children, relative to the layout size.
+ * - justifyContent: distribution of the children along the main axis,
+ * either 'start', 'center', 'end', 'space-between', 'space-around' or
+ * 'space-evenly'. When it is not set, children are packed according to their
+ * own `position' (horizontal) or `align' (vertical) property.
+ * - alignItems: alignment of the children on the cross axis, either
+ * 'stretch', 'center', 'baseline', 'start' or 'end'. When it is not set,
+ * children use their own `align' (horizontal) or `position' (vertical)
+ * property.
+ *
+ * The children style supports:
+ * - grow, or weight: share of the free space given to the child.
+ * - shrink: how much the child shrinks, relative to its size, when the
+ * children do not fit. Children do not shrink by default.
+ *
+ * @export
+ * @class LinearLayout
+ */
 export default class LinearLayout extends AbstractLayout {
 
     constructor( data, style ) {
 
         super( data, style );
+        // Set by the subclasses, either 'horizontal' or 'vertical'.
+        this.orientation = `horizontal`;
+
+    }
+
+    refresh( maxEltWidth, maxEltHeight, size ) {
+
+        super.refresh( maxEltWidth, maxEltHeight, size );
+
+        let axis = AXES[ this.orientation ];
+        let dimensions = this._dimensions;
+        let padding = dimensions.padding;
+
+        let padded = {
+            width: dimensions.width - ( padding.left + padding.right ),
+            height: dimensions.height - ( padding.top + padding.bottom )
+        };
+        let gap = resolveLength( this.style.gap || 0.0, padded[ axis.main ] );
+
+        for ( let elt of this._elements ) elt.refresh( padded.width, padded.height );
+        this._flex( axis, padded, gap );
+
+        if ( this.style.justifyContent ) this._justify( axis, padded, gap );
+        else this._pack( axis, padded, gap );
+
+        this._alignItems( axis, padded );
+
+        for ( let elt of this._elements ) elt._applyTransform();
+
+    }
+
+    /**
+     * Checks whether the layout is full or not.
+     * Note: this function is O(n), because developer can remove elements by
+     * hand.
+     */
+    isFull() {
+
+        let main = AXES[ this.orientation ].main;
+
+        // Wrapped and absolute sizes do not fill a fraction of the layout.
+        let size = 0.0;
+        for ( let elt of this._elements ) {
+            let length = parseLength( elt.style[ main ] );
+            if ( length ) size += length.fraction;
+        }
+        // Sums of fractions, e.g: 6 * (1 / 6), may not reach exactly 1.0.
+        return size >= 1.0 - FULL_EPSILON;
+
+    }
+
+    /**
+     * Wrapped layouts take the size of their children stacked along the main
+     * axis, gaps included, and the size of the largest child along the cross
+     * axis.
+     */
+    _measureContent( maxWidth, maxHeight, width, height ) {
+
+        let axis = AXES[ this.orientation ];
+        let available = {
+            width: width !== null ? width : maxWidth,
+            height: height !== null ? height : maxHeight
+        };
+
+        // Gaps and margins given as fractions depend on the final size, they
+        // are added once the size of the children is known.
+        let nbGaps = Math.max( this._elements.length - 1, 0 );
+        let gap = parseLength( this.style.gap || 0.0 );
+        let main = gap.absolute * nbGaps;
+        let mainFraction = gap.fraction * nbGaps;
+        let cross = 0.0;
+        for ( let elt of this._elements ) {
+            let size = elt.measure( available.width, available.height );
+            let margin = elt.style.margin;
+            let start = parseLength( margin[ axis.start ] );
+            let end = parseLength( margin[ axis.end ] );
+            main += size[ axis.main ] + start.absolute + end.absolute;
+            mainFraction += start.fraction + end.fraction;
+
+            let crossStart = parseLength( margin[ axis.crossStart ] );
+            let crossEnd = parseLength( margin[ axis.crossEnd ] );
+            let crossFraction = crossStart.fraction + crossEnd.fraction;
+            cross = Math.max( cross, ( size[ axis.cross ] + crossStart.absolute + crossEnd.absolute ) /
+                Math.max( 1.0 - crossFraction, FULL_EPSILON ) );
+        }
+
+        let content = { width: width, height: height };
+        if ( content[ axis.main ] === null )
+            content[ axis.main ] = main / Math.max( 1.0 - mainFraction, FULL_EPSILON );
+        if ( content[ axis.cross ] === null ) content[ axis.cross ] = cross;
+        return content;
+
+    }
+
+    /**
+     * Grows or shrinks the children along the main axis, according to the
+     * free space, and stretches them along the cross axis.
+     */
+    _flex( axis, padded, gap ) {
+
+        let elements = this._elements;
+        let stretch = this.style.alignItems === `stretch`;
+
+        let growSum = 0.0;
+        let shrinkSum = 0.0;
+        for ( let elt of elements ) {
+            growSum += getGrow( elt );
+            shrinkSum += ( elt.style.shrink || 0.0 ) * elt._dimensions[ axis.main ];
+        }
+
+        let free = padded[ axis.main ] - this._getUsedSpace( axis, gap );
+        for ( let elt of elements ) {
+            let eltDim = elt._dimensions;
+            let size = { width: eltDim.width, height: eltDim.height };
+
+            if ( free > 0.0 && growSum > 0.0 )
+                size[ axis.main ] += free * getGrow( elt ) / growSum;
+            else if ( free < 0.0 && shrinkSum > 0.0 ) {
+                let shrink = ( elt.style.shrink || 0.0 ) * eltDim[ axis.main ];
+                size[ axis.main ] = Math.max( size[ axis.main ] + free * shrink / shrinkSum, 0.0 );
+            }
+
+            if ( stretch ) {
+                let margin = eltDim.margin;
+                size[ axis.cross ] = padded[ axis.cross ] - margin[ axis.crossStart ] - margin[ axis.crossEnd ];
+            }
+
+            if ( size.width !== eltDim.width || size.height !== eltDim.height )
+                elt.refresh( padded.width, padded.height, size );
+        }
+
+    }
+
+    /**
+     * Places the children one after the other, distributing the free space
+     * according to the `justifyContent' style property.
+     */
+    _justify( axis, padded, gap ) {
+
+        let elements = this._elements;
+        let nbElts = elements.length;
+        let free = Math.max( padded[ axis.main ] - this._getUsedSpace( axis, gap ), 0.0 );
+
+        let offset = 0.0;
+        let spacing = gap;
+        switch ( this.style.justifyContent ) {
+            case `center`:
+                offset = free * 0.5;
+                break;
+            case `end`:
+                offset = free;
+                break;
+            case `space-between`:
+                if ( nbElts > 1 ) spacing += free / ( nbElts - 1 );
+                break;
+            case `space-around`:
+                offset = free / nbElts * 0.5;
+                spacing += free / nbElts;
+                break;
+            case `space-evenly`:
+                offset = free / ( nbElts + 1 );
+                spacing += offset;
+                break;
+        }
+
+        let cursor = this._dimensions.padding[ axis.start ] + offset;
+        for ( let elt of elements ) {
+            let eltDim = elt._dimensions;
+            cursor += eltDim.margin[ axis.start ];
+            this._setMainPosition( elt, cursor );
+            cursor += eltDim[ axis.main ] + eltDim.margin[ axis.end ] + spacing;
+        }
+
+    }
+
+    /**
+     * Packs the children at the start, at the center, or at the end of the
+     * layout, according to their own `position' or `align' style property.
+     */
+    _pack( axis, padded, gap ) {
+
+        let dimensions = this._dimensions;
+        let groups = { start: [], center: [], end: [] };
+        for ( let elt of this._elements )
+            groups[ getPlacement( elt.style[ axis.mainStyle ], axis.start, axis.end ) ].push( elt );
+
+        let cursor = dimensions.padding[ axis.start ];
+        for ( let elt of groups.start ) {
+            let eltDim = elt._dimensions;
+            cursor += eltDim.margin[ axis.start ];
+            this._setMainPosition( elt, cursor );
+            cursor += eltDim[ axis.main ] + eltDim.margin[ axis.end ] + gap;
+        }
+
+        // Children at the end are stacked from the end of the layout.
+        cursor = dimensions.padding[ axis.end ];
+        for ( let elt of groups.end ) {
+            let eltDim = elt._dimensions;
+            cursor += eltDim.margin[ axis.end ] + eltDim[ axis.main ];
+            this._setMainPosition( elt, dimensions[ axis.main ] - cursor );
+            cursor += eltDim.margin[ axis.start ] + gap;
+        }
+
+        let centerSize = gap * Math.max( groups.center.length - 1, 0 );
+        for ( let elt of groups.center ) centerSize += getOuterSize( elt, axis );
+
+        cursor = dimensions.padding[ axis.start ] + ( padded[ axis.main ] - centerSize ) * 0.5;
+        for ( let elt of groups.center ) {
+            let eltDim = elt._dimensions;
+            cursor += eltDim.margin[ axis.start ];
+            this._setMainPosition( elt, cursor );
+            cursor += eltDim[ axis.main ] + eltDim.margin[ axis.end ] + gap;
+        }
+
+    }
+
+    /**
+     * Places the children on the cross axis, according to the `alignItems'
+     * style property, or to their own `align' or `position' property.
+     */
+    _alignItems( axis, padded ) {
+
+        let dimensions = this._dimensions;
+        let padding = dimensions.padding;
+        let alignItems = this.style.alignItems;
+
+        // Baselines only make sense when children are side by side.
+        if ( alignItems === `baseline` && this.orientation !== `horizontal` )
+            alignItems = `start`;
+
+        let maxBaseline = 0.0;
+        if ( alignItems === `baseline` ) {
+            for ( let elt of this._elements )
+                maxBaseline = Math.max( maxBaseline, elt._dimensions.margin.top + elt._getBaseline() );
+        }
+
+        for ( let elt of this._elements ) {
+            let eltDim = elt._dimensions;
+            let margin = eltDim.margin;
+
+            let align = alignItems;
+            if ( !align )
+                align = getPlacement( elt.style[ axis.crossStyle ], axis.crossStart, axis.crossEnd );
+
+            let position = padding[ axis.crossStart ] + margin[ axis.crossStart ];
+            switch ( align ) {
+                case `center`:
+                    position += ( padded[ axis.cross ] - getOuterSize( elt, axis, true ) ) * 0.5;
+                    break;
+                case `end`:
+                    position = dimensions[ axis.cross ] - padding[ axis.crossEnd ] -
+                        margin[ axis.crossEnd ] - eltDim[ axis.cross ];
+                    break;
+                case `baseline`:
+                    position = padding.top + maxBaseline - elt._getBaseline();
+                    break;
+            }
+
+            if ( this.orientation === `horizontal` ) elt.group.position.y = - position;
+            else elt.group.position.x = position;
+        }
+
+    }
+
+    _setMainPosition( elt, position ) {
+
+        if ( this.orientation === `horizontal` ) elt.group.position.x = position;
+        else elt.group.position.y = - position;
+
+    }
+
+    /**
+     * Space taken by the children, their margins and the gaps between them,
+     * along the main axis.
+     */
+    _getUsedSpace( axis, gap ) {
+
+        let used = gap * Math.max( this._elements.length - 1, 0 );
+        for ( let elt of this._elements ) used += getOuterSize( elt, axis );
+        return used;
 
     }
 
@@ -0,0 +1,303 @@
+/**
+* VRUI Javascript UI Library
+* https://github.com/artflow-vr/vr-ui
+*
+* MIT License
+*
+* Copyright (c) 2017 artflow-vr
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy
+* of this software and associated documentation files (the "Software"), to deal
+* in the Software without restriction, including without limitation the rights
+* to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+* copies of the Software, and to permit persons to whom the Software is
+* furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all
+* copies or substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+* IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+* FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+* AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+* LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+* SOFTWARE.
+*/
+
+import AbstractLayout from './abstract-layout';
+
+// Tilt of the thumbstick, in [0, 1], above which it selects a sector.
+const THUMBSTICK_THRESHOLD = 0.5;
+
+const TWO_PI = Math.PI * 2.0;
+
+let toRadians = ( degrees ) => degrees * Math.PI / 180.0;
+
+/**
+ *
+ * Layout arranging its children in a ring, or a pie, around its center,
+ * e.g: a quick tool picker attached to the wrist. Each child is centered in
+ * its sector, the sectors going clockwise from the start angle.
+ *
+ * A child is hovered and pressed as soon as the pointer is over its sector,
+ * and not only over the child itself. Sectors can also be selected with a
+ * thumbstick, tilted toward them while the input points at the layout, or
+ * while the layout is attached to the input object, e.g: with an
+ * ObjectAnchor (see ObjectInput).
+ *
+ * @export
+ * @class RadialLayout
+ */
+export default class RadialLayout extends AbstractLayout {
+
+    /**
+     * Creates an instance of RadialLayout.
+     *
+     * @param {Object} [data] - Extra data:
+     * - startAngle: angle, in degrees, at which the first sector starts.
+     * 0 is on the right, 90 at the top. Default to 90.
+     * - sweep: angle, in degrees, covered by the sectors. Default to 360.
+     * - innerRadius: radius of the hole of the ring, relative to the outer
+     * radius. 0 makes a pie. Default to 0.4.
+     * - outerRadius: radius of the ring, relative to half the size of the
+     * layout. Default to 1.
+     * @param {Object} [style] - Style properties. e.g: { width: 1.0, ... }
+     * @memberof RadialLayout
+     */
+    constructor( data, style ) {
+
+        super( data, style );
+        this.type = `radial-layout`;
+
+        let d = this.data;
+        d.startAngle = d.startAngle !== undefined ? d.startAngle : 90.0;
+        d.sweep = d.sweep !== undefined ? d.sweep : 360.0;
+        d.innerRadius = d.innerRadius !== undefined ? d.innerRadius : 0.4;
+        d.outerRadius = d.outerRadius !== undefined ? d.outerRadius : 1.0;
+
+        if ( !( d.sweep > 0.0 && d.sweep <= 360.0 ) ) {
+            let errorMsg = `sweep should be in ]0, 360].`;
+            throw new TypeError( `RadialLayout.ctor(): ` + errorMsg );
+        }
+        if ( !( d.outerRadius > 0.0 && d.outerRadius <= 1.0 ) ) {
+            let errorMsg = `outerRadius should be in ]0, 1].`;
+            throw new TypeError( `RadialLayout.ctor(): ` + errorMsg );
+        }
+        if ( !( d.innerRadius >= 0.0 && d.innerRadius < 1.0 ) ) {
+            let errorMsg = `innerRadius should be in [0, 1[.`;
+            throw new TypeError( `RadialLayout.ctor(): ` + errorMsg );
+        }
+
+        // Center and radii of the ring, in the layout space.
+        this._center = new THREE.Vector2();
+        this._innerRadius = 0.0;
+        this._outerRadius = 0.0;
+
+        // Casts rays toward the child of the selected sector.
+        this._sectorRaycaster = new THREE.Raycaster();
+
+    }
+
+    refresh( maxWidth, maxHeight, size ) {
+
+        super.refresh( maxWidth, maxHeight, size );
+
+        let dimensions = this._dimensions;
+        let padding = dimensions.padding;
+
+        let paddedWidth = dimensions.width - ( padding.left + padding.right );
+        let paddedHeight = dimensions.height - ( padding.top + padding.bottom );
+
+        this._center.set( padding.left + paddedWidth * 0.5, - ( padding.top + paddedHeight * 0.5 ) );
+        this._outerRadius = this.data.outerRadius * Math.min( paddedWidth, paddedHeight ) * 0.5;
+        this._innerRadius = this.data.innerRadius * this._outerRadius;
+
+        let nbElts = this._elements.length;
+        if ( nbElts === 0 ) return;
+
+        // Children fit in a square inside their sector.
+        let step = toRadians( this.data.sweep ) / nbElts;
+        let radius = ( this._innerRadius + this._outerRadius ) * 0.5;
+        let chord = step >= Math.PI ? 2.0 * radius : 2.0 * radius * Math.sin( step * 0.5 );
+        let cellSize = Math.min( this._outerRadius - this._innerRadius, chord );
+
+        for ( let i = 0; i < nbElts; ++i ) {
+            let elt = this._elements[ i ];
+            elt.refresh( cellSize, cellSize );
+
+            let angle = this._getSectorAngle( i );
+            let eltDim = elt._dimensions;
+            elt.group.position.x = this._center.x + radius * Math.cos( angle ) - eltDim.halfW;
+            elt.group.position.y = this._center.y + radius * Math.sin( angle ) + eltDim.halfH;
+            elt._applyTransform();
+        }
+
+    }
+
+    /**
+     * Finds the sector in the given direction, and at the given distance.
+     *
+     * @param {number} angle - Angle, in radians, from the center of the
+     * layout. 0 is on the right, PI / 2 at the top.
+     * @param {number} [distance] - Distance from the center, in Three.js
+     * units. If not provided, only the angle is used.
+     * @returns {VRUI.Element} the child of the sector, or null if the
+     * direction is out of the sectors.
+     * @memberof RadialLayout
+     */
+    getSectorAt( angle, distance ) {
+
+        if ( distance !== undefined && distance !== null &&
+            ( distance < this._innerRadius || distance > this._outerRadius ) )
+            return null;
+
+        let nbElts = this._elements.length;
+        if ( nbElts === 0 ) return null;
+
+        // Angle travelled clockwise from the start of the first sector.
+        let offset = toRadians( this.data.startAngle ) - angle;
+        offset = ( ( offset % TWO_PI ) + TWO_PI ) % TWO_PI;
+
+        let sweep = toRadians( this.data.sweep );
+        if ( offset > sweep ) return null;
+
+        return this._elements[ Math.min( Math.floor( offset / sweep * nbElts ), nbElts - 1 ) ];
+
+    }
+
+    /**
+     * Children share a ring, the layout is never full.
+     */
+    isFull() {
+
+        return false;
+
+    }
+
+    _measureContent( maxWidth, maxHeight, width, height ) {
+
+        // The ring is round, wrapped layouts are square.
+        let side = Math.min( width !== null ? width : maxWidth, height !== null ? height : maxHeight );
+        return {
+            width: width !== null ? width : side,
+            height: height !== null ? height : side
+        };
+
+    }
+
+    _intersect( raycaster, state ) {
+
+        let tilted = this._isTilted( state );
+        if ( tilted && this._isAttachedTo( state.input ) ) return this._intersectAttached( state );
+
+        let intersectionInfo = this._checkHover( raycaster, state, this._background );
+        if ( !intersectionInfo ) return null;
+
+        let selected = null;
+        if ( tilted ) {
+            selected = this._getThumbstickSector( state );
+        } else {
+            let local = this.group.worldToLocal( intersectionInfo.point.clone() );
+            let x = local.x - this._center.x;
+            let y = local.y - this._center.y;
+            selected = this.getSectorAt( Math.atan2( y, x ), Math.sqrt( x * x + y * y ) );
+        }
+
+        this._intersectSelected( selected, state );
+        return intersectionInfo;
+
+    }
+
+    _intersectAttached( state ) {
+
+        let input = state.input;
+        if ( !this.visible || !this._isTilted( state ) ) {
+            this._forceExit( input );
+            return null;
+        }
+
+        // The layout is hovered without being pointed at.
+        let inputState = this._getInputState( input );
+        if ( !inputState.hover ) this._setInputHover( inputState, input );
+
+        return this._intersectSelected( this._getThumbstickSector( state ), state );
+
+    }
+
+    _isTilted( state ) {
+
+        let thumbstick = state.thumbstick;
+        return Boolean( thumbstick ) && thumbstick.length() >= THUMBSTICK_THRESHOLD;
+
+    }
+
+    _getThumbstickSector( state ) {
+
+        // Gamepad axes point downward. The thumbstick is consumed, it does
+        // not scroll any parent.
+        let thumbstick = state.thumbstick;
+        state.scroll.set( 0.0, 0.0 );
+        return this.getSectorAt( Math.atan2( - thumbstick.y, thumbstick.x ) );
+
+    }
+
+    /**
+     * Intersects the child of the selected sector, and releases the others.
+     *
+     * @returns the intersection information of the selected child, or null.
+     */
+    _intersectSelected( selected, state ) {
+
+        let selectedInfo = null;
+        for ( let elt of this._elements ) {
+            if ( elt === selected ) selectedInfo = this._intersectSector( elt, state );
+            if ( elt !== selected || !selectedInfo ) elt._forceExit( state.input );
+        }
+        return selectedInfo;
+
+    }
+
+    /**
+     * Intersects the child of the selected sector with a ray aimed at its
+     * center, so that the whole sector acts as the child.
+     */
+    _intersectSector( elt, state ) {
+
+        let dimensions = elt._dimensions;
+        let ray = this._sectorRaycaster.ray;
+
+        ray.direction.set( 0.0, 0.0, - 1.0 ).transformDirection( this.group.matrixWorld );
+        ray.origin.set( dimensions.halfW, - dimensions.halfH, 0.0 ).applyMatrix4( elt.group.matrixWorld );
+        ray.origin.addScaledVector( ray.direction, - 1.0 );
+
+        return elt._intersect( this._sectorRaycaster, state );
+
+    }
+
+    /**
+     * @returns true if the layout is a descendant of the input object, e.g: a
+     * tool picker attached to the controller, false otherwise.
+     */
+    _isAttachedTo( input ) {
+
+        let object = input && input.object;
+        if ( !object ) return false;
+
+        for ( let parent = this.group.parent; parent; parent = parent.parent )
+            if ( parent === object ) return true;
+        return false;
+
+    }
+
+    /**
+     * @returns {number} the angle, in radians, of the center of the sector.
+     */
+    _getSectorAngle( index ) {
+
+        let step = toRadians( this.data.sweep ) / this._elements.length;
+        return toRadians( this.data.startAngle ) - step * ( index + 0.5 );
+
+    }
+
+}
@@ -0,0 +1,511 @@
+/**
+* VRUI Javascript UI Library
+* https://github.com/artflow-vr/vr-ui
+*
+* MIT License
+*
+* Copyright (c) 2017 artflow-vr
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy
+* of this software and associated documentation files (the "Software"), to deal
+* in the Software without restriction, including without limitation the rights
+* to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+* copies of the Software, and to permit persons to whom the Software is
+* furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all
+* copies or substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+* IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+* FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+* AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+* LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+* SOFTWARE.
+*/
+
+import AbstractLayout from './abstract-layout';
+import { MaterialFactory } from '../utils/material';
+
+// Distance, relative to the viewport length, the pointer has to travel
+// before a press turns into a drag.
+const DRAG_THRESHOLD = 0.02;
+
+const _normal = new THREE.Vector3();
+const _point = new THREE.Vector3();
+
+/**
+ *
+ * Layout displaying a list of items, only part of it being visible at a time.
+ * Items are placed one after the other, vertically or horizontally, and are
+ * clipped to the bounds of the layout. It can be scrolled by dragging it,
+ * with the mouse wheel, or with a thumbstick (see ObjectInput).
+ *
+ * Items can either be added like with any other layout, or be provided by an
+ * adapter. With an adapter, the layout only creates enough views to fill its
+ * viewport, and binds them to new items as it is scrolled:
+ *
+ * layout.setAdapter( {
+ *     count: 1000,
+ *     create: () => new VRUI.view.TextView( { string: `` } ),
+ *     bind: ( view, index ) => view.updateStr( `Item ` + index )
+ * } );
+ *
+ * Clipping relies on material clipping planes, the renderer should have its
+ * `localClippingEnabled' property set to true.
+ *
+ * @export
+ * @class ScrollLayout
+ */
+export default class ScrollLayout extends AbstractLayout {
+
+    /**
+     * Creates an instance of ScrollLayout.
+     *
+     * @param {Object} [data] - Extra data:
+     * - orientation: either 'vertical' (default) or 'horizontal'.
+     * - itemSize: size of an item, relative to the viewport. e.g: 0.1 shows
+     * ten items at a time. Default to 0.1.
+     * - adapter: see `setAdapter()'.
+     * @param {Object} [style] - Style properties. e.g: { width: 1.0, ... }
+     * @memberof ScrollLayout
+     */
+    constructor( data, style ) {
+
+        super( data, style );
+        this.type = `scroll-layout`;
+
+        this.data.orientation = this.data.orientation || `vertical`;
+        this.data.itemSize = this.data.itemSize || 0.1;
+
+        let orientation = this.data.orientation;
+        if ( orientation !== `vertical` && orientation !== `horizontal` ) {
+            let errorMsg = `orientation should be either 'vertical' or 'horizontal'.`;
+            throw new TypeError( `ScrollLayout.ctor(): ` + errorMsg );
+        }
+        if ( this.data.itemSize <= 0.0 || this.data.itemSize > 1.0 ) {
+            let errorMsg = `itemSize should be in ]0, 1].`;
+            throw new TypeError( `ScrollLayout.ctor(): ` + errorMsg );
+        }
+
+        // Index of the item at the start of the viewport. It can be
+        // fractional when an item is partially hidden.
+        this.scrollPosition = 0.0;
+
+        this._vertical = orientation === `vertical`;
+        this._itemLength = 0.0;
+
+        this._adapter = null;
+        // Views created for the adapter, and the index they are bound to.
+        this._pool = [];
+        this._bound = new Map();
+
+        // Items refreshed since the last refresh of the layout, and items
+        // hidden because they are out of the viewport.
+        this._refreshed = new Set();
+        this._clipped = new Set();
+
+        // Pointers currently dragging the layout.
+        this._drags = new Map();
+
+        this._clippingPlanes = [ new THREE.Plane(), new THREE.Plane() ];
+
+        if ( this.data.adapter ) this.setAdapter( this.data.adapter );
+
+    }
+
+    /**
+     * Provides the items of the layout. Views previously created for
+     * another adapter are removed and disposed.
+     *
+     * @param {Object} adapter - Object containing:
+     * - count: number of items.
+     * - create: function returning a new view.
+     * - bind: function( view, index ), updating a view to display the item
+     * at the given index.
+     * @memberof ScrollLayout
+     */
+    setAdapter( adapter ) {
+
+        if ( !adapter || !adapter.create || !adapter.bind ) {
+            let errorMsg = `adapter should contain 'create' and 'bind' functions.`;
+            throw new TypeError( `ScrollLayout.setAdapter(): ` + errorMsg );
+        }
+
+        // The views were created by the layout, nobody else releases them.
+        for ( let elt of this._pool ) {
+            this._removeItem( this._elements.indexOf( elt ) );
+            elt._dispose();
+        }
+        this._bound.clear();
+
+        this._adapter = adapter;
+        this.data.adapter = adapter;
+
+        // One extra view is needed when items are partially visible at both
+        // ends of the viewport.
+        let poolSize = Math.ceil( 1.0 / this.data.itemSize ) + 1;
+        this._pool = [];
+        for ( let i = 0; i < poolSize; ++i ) {
+            let view = adapter.create();
+            this._pool.push( view );
+            this._addItem( view );
+        }
+
+        this.scrollPosition = 0.0;
+        this.requestLayout();
+
+    }
+
+    /**
+     * Binds again the visible items, e.g: when the content or the number of
+     * items of the adapter changed.
+     *
+     * @memberof ScrollLayout
+     */
+    invalidate() {
+
+        this._bound.clear();
+        this._refreshed.clear();
+        this.scrollBy( 0.0 );
+
+    }
+
+    /**
+     * Scrolls by the given number of items. The position is clamped
+     * so that the viewport is always filled when possible.
+     *
+     * @param {number} delta - Number of items, can be fractional.
+     * @memberof ScrollLayout
+     */
+    scrollBy( delta ) {
+
+        let position = this.scrollPosition + delta;
+        this.scrollPosition = Math.min( Math.max( position, 0.0 ), this.getMaxScroll() );
+        this._layoutItems();
+
+    }
+
+    /**
+     * Scrolls to the given position.
+     *
+     * @param {number} position - Index of the item to show at the start of
+     * the viewport, can be fractional.
+     * @param {Object} [options] - Tween options, scrolls smoothly when
+     * provided. e.g: { duration: 0.3 }
+     * @returns {Tween} the tween if the scrolling is animated, null otherwise.
+     * @memberof ScrollLayout
+     */
+    scrollTo( position, options ) {
+
+        if ( options ) {
+            let target = Math.min( Math.max( position, 0.0 ), this.getMaxScroll() );
+            return this._tween( this, { scrollPosition: target }, options );
+        }
+
+        this.scrollBy( position - this.scrollPosition );
+        return null;
+
+    }
+
+    /**
+     * @returns {number} the largest scroll position.
+     * @memberof ScrollLayout
+     */
+    getMaxScroll() {
+
+        let count = this._adapter ? this._adapter.count : this._elements.length;
+        return Math.max( count - 1.0 / this.data.itemSize, 0.0 );
+
+    }
+
+    refresh( maxWidth, maxHeight, size ) {
+
+        super.refresh( maxWidth, maxHeight, size );
+
+        this._refreshed.clear();
+        this.scrollPosition = Math.min( this.scrollPosition, this.getMaxScroll() );
+        this._layoutItems();
+        this._updateClipping();
+
+    }
+
+    _measureContent( maxWidth, maxHeight, width, height ) {
+
+        // The content is scrolled, wrapping it would make the viewport as
+        // large as the whole list.
+        return {
+            width: width !== null ? width : maxWidth,
+            height: height !== null ? height : maxHeight
+        };
+
+    }
+
+    setVisible( toggle ) {
+
+        super.setVisible( toggle );
+        // Items out of the viewport stay hidden.
+        for ( let elt of this._clipped ) elt.setVisible( false );
+
+    }
+
+    /**
+     * Items are scrolled instead of being moved to another page.
+     */
+    isFull() {
+
+        return false;
+
+    }
+
+    clone() {
+
+        let layout = new this.constructor( this.data, this.style );
+        if ( !this._adapter )
+            for ( let elt of this._elements ) layout.add( elt.clone() );
+        return layout;
+
+    }
+
+    _removeItem( index ) {
+
+        // Gives the element back as it was before being added.
+        let elt = this._elements[ index ];
+        this._clipItem( elt, false );
+        this._setClipping( elt, null );
+        this._refreshed.delete( elt );
+
+        super._removeItem( index );
+
+    }
+
+    _update( dt ) {
+
+        super._update( dt );
+        this._updateClipping();
+
+    }
+
+    _forceExit( input ) {
+
+        this._drags.delete( input );
+        super._forceExit( input );
+
+    }
+
+    _intersect( raycaster, state ) {
+
+        // Children outside of the viewport are hidden, and the ones
+        // partially visible are only tested if the ray hits the viewport.
+        let intersectionInfo = this._checkHover( raycaster, state,
+            this._background );
+        if ( !intersectionInfo )
+            return null;
+
+        let dragging = this._updateDrag( intersectionInfo, state );
+        for ( let elt of this._elements ) {
+            // A drag cancels the press started on the children.
+            if ( dragging || !elt._intersect( raycaster, state ) )
+                elt._forceExit( state.input );
+        }
+
+        // Nested scrollable layouts consume the scroll amount first.
+        let scroll = state.scroll;
+        let amount = this._vertical ? scroll.y : ( scroll.x || scroll.y );
+        if ( amount !== 0.0 ) {
+            this.scrollBy( amount );
+            scroll.set( 0.0, 0.0 );
+        }
+
+        return intersectionInfo;
+
+    }
+
+    /**
+     * Scrolls the layout when a press started on it moves along the
+     * scrolling axis.
+     *
+     * @returns true if the input is dragging the layout, false otherwise.
+     */
+    _updateDrag( intersectionInfo, state ) {
+
+        let input = state.input;
+        let inputState = this._getInputState( input );
+
+        if ( !state.pressed ) {
+            inputState.pressed = false;
+            inputState.released = true;
+            this.pressed = this._isInputState( `pressed` );
+            this._drags.delete( input );
+            return false;
+        }
+
+        let local = this.group.worldToLocal( intersectionInfo.point.clone() );
+        let coord = this._vertical ? - local.y : local.x;
+
+        let drag = this._drags.get( input );
+        if ( !drag ) {
+            // Presses started outside of the layout do not scroll it.
+            if ( !inputState.released ) return false;
+
+            inputState.released = false;
+            inputState.pressed = true;
+            this.pressed = true;
+            this._drags.set( input, { start: coord, last: coord, dragging: false } );
+            return false;
+        }
+
+        let threshold = DRAG_THRESHOLD * this._itemLength / this.data.itemSize;
+        if ( !drag.dragging && Math.abs( coord - drag.start ) > threshold )
+            drag.dragging = true;
+
+        if ( drag.dragging && this._itemLength > 0.0 )
+            this.scrollBy( ( drag.last - coord ) / this._itemLength );
+
+        drag.last = coord;
+        return drag.dragging;
+
+    }
+
+    /**
+     * Places the items according to the scroll position. Items outside of the
+     * viewport are hidden, and are only refreshed once they become visible.
+     */
+    _layoutItems() {
+
+        let dimensions = this._dimensions;
+        if ( !dimensions.width ) return;
+
+        let padding = dimensions.padding;
+        let paddedWidth = dimensions.width - ( padding.left + padding.right );
+        let paddedHeight = dimensions.height - ( padding.top + padding.bottom );
+
+        let itemSize = this.data.itemSize;
+        let itemWidth = this._vertical ? paddedWidth : paddedWidth * itemSize;
+        let itemHeight = this._vertical ? paddedHeight * itemSize : paddedHeight;
+        this._itemLength = this._vertical ? itemHeight : itemWidth;
+
+        let position = this.scrollPosition;
+        let first = Math.floor( position );
+        let end = position + 1.0 / itemSize;
+
+        let count = this._adapter ? this._adapter.count : this._elements.length;
+        let nbItems = this._adapter ? this._pool.length : count;
+        for ( let i = 0; i < nbItems; ++i ) {
+            let elt = this._elements[ i ];
+            // Keeps views bound to the same item while it is visible.
+            let index = this._adapter ? first + ( ( i - first ) % nbItems + nbItems ) % nbItems : i;
+
+            if ( index < first || index >= end || index >= count ) {
+                this._clipItem( elt, true );
+                continue;
+            }
+
+            if ( this._adapter ) this._bindItem( elt, index );
+            this._clipItem( elt, false );
+            if ( !this._refreshed.has( elt ) ) {
+                elt.refresh( itemWidth, itemHeight );
+                this._setClipping( elt, this._clippingPlanes );
+                this._refreshed.add( elt );
+            }
+
+            let eltDim = elt._dimensions;
+            let shift = ( index - position ) * this._itemLength;
+
+            elt.group.position.sub( elt._appliedOffset );
+            elt._appliedOffset.set( 0.0, 0.0, 0.0 );
+            elt.group.position.x = padding.left + eltDim.margin.left;
+            elt.group.position.y = - ( padding.top + eltDim.margin.top );
+            if ( this._vertical ) elt.group.position.y -= shift;
+            else elt.group.position.x += shift;
+            elt._applyTransform();
+        }
+
+    }
+
+    _bindItem( view, index ) {
+
+        if ( this._bound.get( view ) === index ) return;
+
+        this._adapter.bind( view, index );
+        this._bound.set( view, index );
+        this._refreshed.delete( view );
+
+    }
+
+    _clipItem( elt, clipped ) {
+
+        if ( clipped && elt.visible ) {
+            elt.setVisible( false );
+            this._clipped.add( elt );
+        } else if ( !clipped && this._clipped.has( elt ) ) {
+            elt.setVisible( true );
+            this._clipped.delete( elt );
+        }
+
+    }
+
+    _setClipping( elt, planes ) {
+
+        // The focus ring, shared by every view, is not clipped.
+        elt._traverse( function ( child ) {
+
+            let material = child.material;
+            if ( !material || material === MaterialFactory.MAT_USELESS ) return;
+            material.clippingPlanes = planes;
+
+        } );
+
+    }
+
+    /**
+     * Moves the clipping planes, defined in world space, to the start and the
+     * end of the viewport.
+     */
+    _updateClipping() {
+
+        let dimensions = this._dimensions;
+        if ( !dimensions.width ) return;
+
+        let matrix = this.group.matrixWorld;
+        let planes = this._clippingPlanes;
+
+        _point.set( 0.0, 0.0, 0.0 );
+        if ( this._vertical ) {
+            _normal.set( 0.0, - 1.0, 0.0 );
+            planes[ 0 ].setFromNormalAndCoplanarPoint( _normal, _point );
+            _normal.set( 0.0, 1.0, 0.0 );
+            _point.set( 0.0, - dimensions.height, 0.0 );
+            planes[ 1 ].setFromNormalAndCoplanarPoint( _normal, _point );
+        } else {
+            _normal.set( 1.0, 0.0, 0.0 );
+            planes[ 0 ].setFromNormalAndCoplanarPoint( _normal, _point );
+            _normal.set( - 1.0, 0.0, 0.0 );
+            _point.set( dimensions.width, 0.0, 0.0 );
+            planes[ 1 ].setFromNormalAndCoplanarPoint( _normal, _point );
+        }
+
+        planes[ 0 ].applyMatrix4( matrix );
+        planes[ 1 ].applyMatrix4( matrix );
+
+    }
+
+    _getAnimated( key ) {
+
+        if ( key === `scrollPosition` ) return this.scrollPosition;
+        return super._getAnimated( key );
+
+    }
+
+    _setAnimated( key, value ) {
+
+        if ( key === `scrollPosition` ) {
+            this.scrollBy( value - this.scrollPosition );
+            return;
+        }
+        super._setAnimated( key, value );
+
+    }
+
+}
@@ -0,0 +1,149 @@
+/**
+* VRUI Javascript UI Library
+* https://github.com/artflow-vr/vr-ui
+*
+* MIT License
+*
+* Copyright (c) 2017 artflow-vr
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy
+* of this software and associated documentation files (the "Software"), to deal
+* in the Software without restriction, including without limitation the rights
+* to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+* copies of the Software, and to permit persons to whom the Software is
+* furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all
+* copies or substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+* IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+* FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+* AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+* LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+* SOFTWARE.
+*/
+
+import AbstractLayout from './abstract-layout';
+import { resolveLength } from '../utils/size';
+
+// Depth, in Three.js units, between two stacked children. An element draws
+// its background and its content within ±0.001 of its own position.
+const Z_OFFSET = 0.004;
+
+/**
+ *
+ * Layout stacking its children on top of each other, in the same rect. Each
+ * child is placed according to its own `position' and `align' properties,
+ * and the last child is in front of the others, e.g: a badge over an icon,
+ * or a progress fill over its track.
+ *
+ * The data object can contain:
+ * - zOffset: depth between two stacked children, if nested layouts need
+ * more room than the default offset.
+ *
+ * @export
+ * @class StackLayout
+ */
+export default class StackLayout extends AbstractLayout {
+
+    constructor( data, style ) {
+
+        super( data, style );
+        this.type = `stack-layout`;
+
+    }
+
+    refresh( maxWidth, maxHeight, size ) {
+
+        super.refresh( maxWidth, maxHeight, size );
+
+        let dimensions = this._dimensions;
+        let padding = dimensions.padding;
+
+        let paddedWidth = dimensions.width - ( padding.left + padding.right );
+        let paddedHeight = dimensions.height - ( padding.top + padding.bottom );
+        let zOffset = this.data.zOffset !== undefined ? this.data.zOffset : Z_OFFSET;
+
+        for ( let i = 0; i < this._elements.length; ++i ) {
+            let elt = this._elements[ i ];
+            elt.refresh( paddedWidth, paddedHeight );
+
+            let eltDim = elt._dimensions;
+            let margin = eltDim.margin;
+            let outerWidth = eltDim.width + margin.left + margin.right;
+            let outerHeight = eltDim.height + margin.top + margin.bottom;
+
+            let x = padding.left + margin.left;
+            switch ( elt.style.position ) {
+                case `right`:
+                    x += paddedWidth - outerWidth;
+                    break;
+                case `center`:
+                    x += ( paddedWidth - outerWidth ) * 0.5;
+                    break;
+            }
+
+            let y = padding.top + margin.top;
+            switch ( elt.style.align ) {
+                case `bottom`:
+                    y += paddedHeight - outerHeight;
+                    break;
+                case `center`:
+                    y += ( paddedHeight - outerHeight ) * 0.5;
+                    break;
+            }
+
+            elt.group.position.x = x;
+            elt.group.position.y = - y;
+            elt.group.position.z = 0.001 + i * zOffset;
+            elt._applyTransform();
+        }
+
+    }
+
+    /**
+     * Wrapped stacks take the size of their largest child, margins included.
+     */
+    _measureContent( maxWidth, maxHeight, width, height ) {
+
+        let availableWidth = width !== null ? width : maxWidth;
+        let availableHeight = height !== null ? height : maxHeight;
+
+        let content = { width: 0.0, height: 0.0 };
+        for ( let elt of this._elements ) {
+            let size = elt.measure( availableWidth, availableHeight );
+            let margin = elt.style.margin;
+            content.width = Math.max( content.width, size.width +
+                resolveLength( margin.left, availableWidth ) + resolveLength( margin.right, availableWidth ) );
+            content.height = Math.max( content.height, size.height +
+                resolveLength( margin.top, availableHeight ) + resolveLength( margin.bottom, availableHeight ) );
+        }
+
+        if ( width !== null ) content.width = width;
+        if ( height !== null ) content.height = height;
+        return content;
+
+    }
+
+    _removeItem( index ) {
+
+        // Other layouts do not move their children in depth.
+        let group = this._elements[ index ].group;
+        group.position.z = 0.001 + this._elements[ index ]._appliedOffset.z;
+
+        super._removeItem( index );
+
+    }
+
+    /**
+     * Children share the same rect, the layout is never full.
+     */
+    isFull() {
+
+        return false;
+
+    }
+
+}
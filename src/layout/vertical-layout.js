@@ -33,79 +33,7 @@ export default class VerticalLayout extends LinearLayout {
 
         super( data, style );
         this.type = `vertical-layout`;
-
-    }
-
-    refresh( maxEltWidth, maxEltHeight ) {
-
-        // TODO: Padding and marging are not working correctly.
-
-        super.refresh( maxEltWidth, maxEltHeight );
-
-        let dimensions = this._dimensions;
-        let padding = dimensions.padding;
-
-        let offset = {
-            top: padding.top,
-            bottom: padding.bottom,
-            x: padding.left - padding.right
-        };
-
-        let horizontalPad = padding.right + padding.left;
-        let verticalPad = padding.top + padding.bottom;
-
-        let maxWidthPerElt = dimensions.width - horizontalPad;
-        let maxHeightPerElt = dimensions.height - verticalPad;
-
-        for ( let elt of this._elements ) {
-            elt.refresh( maxWidthPerElt, maxHeightPerElt );
-            let eltDim = elt._dimensions;
-
-            switch ( elt.style.align ) {
-                case `top`:
-                    offset.top += eltDim.margin.top;
-                    elt.group.position.y = - offset.top;
-                    offset.top += eltDim.height + eltDim.margin.bottom;
-                    break;
-                case `center`:
-                    let warnMsg = `\'center\' is not supported yet with this layouts`;
-                    console.warn( `VerticalLayout.refresh(): ` + warnMsg );
-                    break;
-                case `bottom`:
-                    offset.bottom += eltDim.margin.bottom;
-                    elt.group.position.y = offset.bottom - dimensions.height + eltDim.height;
-                    offset.bottom += eltDim.height + eltDim.margin.top;
-                    break;
-            }
-
-            switch ( elt.style.position ) {
-                // The UI has a top left coordinate system by default.
-                // We do not need to do anything here. We do not need the 'left'
-                // case.
-                case `right`:
-                    elt.group.position.x = maxWidthPerElt - eltDim.width;
-                    break;
-                case `center`:
-                    elt.group.position.x = maxWidthPerElt * 0.5 - eltDim.halfW;
-                    break;
-            }
-
-        }
-
-    }
-
-    /**
-     * Checks whether the layout is full or not.
-     * Note: this function is O(n), because developer can remove elements by
-     * hand.
-     */
-    isFull() {
-
-        let height = 0.0;
-        for ( let elt of this._elements ) {
-            height += elt.style.height;
-        }
-        return height >= 1.0;
+        this.orientation = `vertical`;
 
     }
 
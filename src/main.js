@@ -27,6 +27,22 @@
 
 import Element from './element';
 import AbstractLayout from './layout/abstract-layout';
+import Animator from './animation/animator';
+import AbstractInput from './input/abstract-input';
+import MouseInput from './input/mouse-input';
+import ObjectInput from './input/object-input';
+import GazeInput from './input/gaze-input';
+import AbstractAnchor from './anchor/abstract-anchor';
+import FocusManager from './input/focus-manager';
+import SummonGesture from './input/summon-gesture';
+import GestureRecognizer from './input/gesture-recognizer';
+import PointerVisual from './input/pointer-visual';
+import { fromJSON, toJSON, transitionFromJSON, transitionToJSON } from './schema';
+import { parseSelector, matchSelector } from './utils/selector';
+import { curvePage, flattenPage } from './utils/curve';
+
+// Scale of the UI when it starts appearing, or ends disappearing.
+const HIDDEN_SCALE = 0.001;
 
 /**
  *
@@ -54,8 +70,17 @@ export default class VRUI {
      *         type: VRUI.AUTOMATIC_ADDING,
      *         newPageLayout: new VRUI.layouts.GridLayout(...),
      *         template: new VRUI.layouts.VerticalLayout(...)
-     *     }
+     *     },
+     *     transition: new VRUI.transition.SlideTransition( { duration: 0.5 } ),
+     *     curveRadius: 1.5,
+     *     anchor: new VRUI.anchor.CameraAnchor( camera, { distance: 1 } ),
+     *     recognizer: { longPressDuration: 0.5, doubleClickDelay: 0.3 }
      * }
+     * - Contains the radius of the cylinder the pages are bent onto, see
+     * `setCurveRadius()'. Pages are flat if it is not provided.
+     * - Contains the anchor placing the UI in the scene, see `setAnchor()'.
+     * - Contains the options of the gesture recognizer, see
+     * VRUI.GestureRecognizer.
      * @memberof VRUI
      */
     constructor( data, root ) {
@@ -72,6 +97,9 @@ export default class VRUI {
         }
 
         this.enabled = true;
+        // Whether the UI is shown, see `show()' and `hide()'. Inputs are
+        // ignored while it is hidden, or appearing.
+        this.visible = true;
 
         this.data = Object.assign( {}, data );
         this.data.width = this.data.width || 0.5;
@@ -83,7 +111,29 @@ export default class VRUI {
             this.data.mode.template = template ? template.clone() : null;
         }
 
-        this.inputObject = null;
+        // Transition used when changing page. If null, pages are swapped
+        // instantly.
+        this.transition = this.data.transition || null;
+        this._clock = new THREE.Clock();
+
+        // Updates every animation of the elements contained in the UI.
+        this.animator = new Animator();
+
+        // Every input interacting with the UI. Each input has its own
+        // raycaster and state, several inputs can be used at the same time.
+        this.inputs = [];
+        this._mouseInput = null;
+        this._gazeInput = null;
+
+        // Gestures showing and hiding the UI, see `addSummonGesture()'.
+        this.gestures = [];
+
+        // Keyboard and gamepad navigation between the views.
+        this.focus = new FocusManager( this );
+
+        // Turns presses and moves of the inputs into clicks, long presses,
+        // drags, etc...
+        this.recognizer = new GestureRecognizer( this.data.recognizer );
 
         // Creates the page system. In VRUI, a UI can only show one page at a
         // time, let's say it is a flyer :P. However, if you want several
@@ -91,38 +141,149 @@ export default class VRUI {
         // instanciate a new VRUI :).
         this.pages = [];
         this.pageGroup = new THREE.Group();
-        if ( root !== undefined && root !== null ) this.addPage( root );
 
-        this._raycaster = new THREE.Raycaster(
-            new THREE.Vector3(), new THREE.Vector3()
-        );
-        this._controllerRotation = new THREE.Matrix4();
+        // Elements added with `add()', with the id of the layout they were
+        // added to, and pages created to hold them. They are used to re-flow
+        // the pages when an element is removed.
+        this._flow = [];
+        this._autoPages = new Set();
+        this._onChildRemove = ( event ) => {
+
+            let removed = event.detail.elements;
+            let flow = this._flow.filter( ( entry ) => !removed.includes( entry.element ) );
+            if ( flow.length === this._flow.length ) return;
+
+            this._flow = flow;
+            this._reflow();
 
-        this._mouse = {
-            coords: new THREE.Vector2( -1.0, -1.0 ),
-            enabled: false, camera: null, renderer: null, down: null,
-            up: null, move: null
         };
 
-        this._state = { pressed: false };
-        this._forcePressed = false;
+        // Radius of the cylinder the pages are bent onto, or null if they
+        // are flat.
+        this.curveRadius = null;
+        if ( this.data.curveRadius ) this.setCurveRadius( this.data.curveRadius );
+
+        // Places the UI relatively to the world, the camera or a controller.
+        // If null, the group of the pages is left untouched.
+        this.anchor = null;
+        this._scene = null;
+        if ( this.data.anchor ) this.setAnchor( this.data.anchor );
 
-        this._update = this._updateVR;
+        this._onShow = null;
+        this._onHide = null;
+        // Scale of the UI when shown, restored when it appears again.
+        this._shownScale = new THREE.Vector3( 1.0, 1.0, 1.0 );
+        // Ends the running appear / disappear animation, if any.
+        this._endVisibility = null;
+
+        if ( root !== undefined && root !== null ) this.addPage( root );
+
+    }
+
+    /**
+     * Creates a UI from its description as plain data. e.g:
+     * {
+     *     width: 0.5,
+     *     height: 0.5,
+     *     transition: { type: 'slide', duration: 0.3 },
+     *     pages: [ { type: 'vertical', children: [ ... ] } ]
+     * }
+     *
+     * A single page can also be given directly, with the width and height
+     * of the UI: { type: 'vertical', width: 0.5, height: 0.5, ... }
+     *
+     * @param {Object} schema - Description of the UI, see `toJSON()'.
+     * @param {function|Object} [resolver] - Resolves the textures and
+     * materials names, either a function( name ) returning the asset, or an
+     * object mapping names to assets.
+     * @returns {VRUI} the created UI, already refreshed.
+     * @memberof VRUI
+     */
+    static fromJSON( schema, resolver ) {
+
+        let data = { width: schema.width, height: schema.height };
+        if ( schema.transition ) data.transition = transitionFromJSON( schema.transition );
+        if ( schema.curveRadius ) data.curveRadius = schema.curveRadius;
+
+        let ui = new VRUI( data );
+        for ( let page of schema.pages || [ schema ] )
+            ui.addPage( fromJSON( page, resolver ) );
+        ui.refresh();
+
+        return ui;
+
+    }
+
+    /**
+     * Describes the UI, and all its pages, as plain data. The result can be
+     * given to `JSON.stringify()', and back to `VRUI.fromJSON()'. Callbacks
+     * are not serialized.
+     *
+     * @param {function|Object} [namer] - Gives the name of the textures and
+     * materials, either a function( asset ) returning the name, or an object
+     * mapping names to assets. The `name' property of the asset is used
+     * otherwise.
+     * @returns {Object} the description of the UI.
+     * @memberof VRUI
+     */
+    toJSON( namer ) {
+
+        let json = { width: this.data.width, height: this.data.height };
+        if ( this.transition ) json.transition = transitionToJSON( this.transition );
+        if ( this.curveRadius ) json.curveRadius = this.curveRadius;
+        json.pages = this.pages.map( ( page ) => toJSON( page, namer ) );
+
+        return json;
 
     }
 
     /**
      *
      * Updates the UI. This method takes care of checking intersection and
-     * forwarding the events.
+     * forwarding the events. While a page transition is running, the input
+     * is ignored, and the pointer visuals are hidden.
      *
+     * @param {number} [dt] - Elapsed time since the last update, in seconds.
+     * If not provided, it is computed using an internal clock. Providing it
+     * makes transitions fully deterministic.
+     * @returns the intersection information of the first input hitting
+     * the UI, or null if nothing was hit. The intersection of each input
+     * is available in its `intersection' attribute.
      * @memberof VRUI
      */
-    update() {
+    update( dt ) {
 
-        if ( !this.enabled ) return null;
+        if ( !this.enabled || !this.currPage ) {
+            this._hideVisuals();
+            return null;
+        }
+
+        let delta = dt !== undefined ? dt : this._clock.getDelta();
 
-        return this._update();
+        // Moves the UI before intersecting, rays are cast against the world
+        // matrices of the pages.
+        if ( this.anchor ) {
+            this.anchor.update( this.pageGroup, delta );
+            this.pageGroup.updateMatrixWorld( true );
+        }
+        for ( let gesture of this.gestures ) gesture.update( delta );
+
+        this.animator.update( delta );
+        // Refreshes the elements modified since the last update.
+        for ( let page of this.pages ) page._layout();
+        // Elements can be moved by layouts as well as by animations.
+        this._curvePages();
+
+        if ( this.transition && this.transition.running ) {
+            this.transition.update( delta );
+            // Inputs are not updated, their pointer would stay in place.
+            this._hideVisuals();
+            return null;
+        }
+
+        this.currPage._update( delta );
+        this.focus.update();
+        return this._update( delta );
 
     }
 
@@ -130,11 +291,16 @@ export default class VRUI {
      * Recursively computes bounds of each element in the UI.
      *
      * This function will compute the dimensions of the elements, as well
-     * as their position relative to the layout they are in.
+     * as their position relative to the layout they are in. Elements modified
+     * afterwards are refreshed by `update()', see `Element.requestLayout()'.
      */
     refresh() {
 
-        for ( let elt of this.pages ) elt.refresh();
+        for ( let elt of this.pages ) {
+            elt.refresh();
+            elt._applyTransform();
+        }
+        this._curvePages();
 
     }
 
@@ -223,8 +389,11 @@ export default class VRUI {
 
         this.pages.push( page );
         this.pageGroup.add( page.group );
+        // Elements added with `add()' can be removed from their layout.
+        page.on( `childremove`, this._onChildRemove );
 
         page.parent = null;
+        page._animator = this.animator;
         page._parentDimensions = {
             width: dim.width,
             height: dim.height
@@ -246,28 +415,386 @@ export default class VRUI {
 
     }
 
-    nextPage() {
+    /**
+     * Removes a page from the UI. If it was the current page, the following
+     * page is shown instead, or the previous one if it was the last page.
+     *
+     * @param {number} index - Index of the page to remove.
+     * @returns {VRUI.Element} the removed page, or null if there is no page
+     * at this index.
+     * @memberof VRUI
+     */
+    removePage( index ) {
+
+        let page = this.pages[ index ];
+        if ( !page ) return null;
+
+        if ( this.transition && this.transition.running ) this.transition.end();
+
+        this._detachPage( page );
+        this._autoPages.delete( page );
+        // Elements of the removed page are not re-flowed anymore.
+        this._flow = this._flow.filter( ( entry ) => {
+
+            let root = entry.element;
+            while ( root.parent ) root = root.parent;
+            return root !== page;
+
+        } );
+
+        let pageId = this._pageId;
+        if ( index < pageId ) --pageId;
+        this._showPage( Math.min( pageId, this.pages.length - 1 ) );
+
+        return page;
+
+    }
+
+    /**
+     * Removes an element from the layout containing it, or removes it if it
+     * is a page. When the element was added with `add()', the pages are
+     * re-flowed: the elements added after it move back to fill the gap, and
+     * automatic pages left empty are removed. The same happens when the
+     * element is removed from its layout directly.
+     *
+     * @param {VRUI.Element} element - Element to remove.
+     * @returns {VRUI.Element} the removed element, or null if it is neither
+     * in a layout nor a page.
+     * @memberof VRUI
+     */
+    remove( element ) {
+
+        let parent = element.parent;
+        if ( !( parent instanceof AbstractLayout ) ) {
+            let index = this.pages.indexOf( element );
+            return index >= 0 ? this.removePage( index ) : null;
+        }
+
+        // The page re-flows, if needed, from its `childremove' event.
+        parent.remove( element );
+        return element;
+
+    }
+
+    /**
+     * Releases every resource of the UI: the pages and their elements, see
+     * Element.dispose(), the inputs and their listeners, and the focus
+     * manager. The UI is removed from the scene, and should not be used
+     * anymore afterwards.
+     *
+     * @memberof VRUI
+     */
+    dispose() {
+
+        if ( this.transition && this.transition.running ) this.transition.end();
+
+        for ( let input of this.inputs.slice() ) {
+            this.removeInput( input );
+            input.dispose();
+        }
+        this._mouseInput = null;
+        this._gazeInput = null;
+        this.gestures = [];
+        this.focus.dispose();
+
+        // Animations are cancelled while elements can still find the
+        // animator.
+        for ( let page of this.pages ) page._dispose();
+        if ( this.data.mode.template ) this.data.mode.template._dispose();
+        this.animator.clear();
+
+        for ( let page of this.pages.slice() ) this._detachPage( page );
+        this._showPage( 0 );
+        this._flow = [];
+        this._autoPages.clear();
+
+        if ( this.pageGroup.parent ) this.pageGroup.parent.remove( this.pageGroup );
+        this.enabled = false;
+
+    }
+
+    /**
+     * Shows the next page, using the transition of the UI if any.
+     *
+     * @param {function} [callback] - Called with the new page when the
+     * transition ends.
+     * @returns {Promise} resolved with the new page when the transition ends.
+     * @memberof VRUI
+     */
+    nextPage( callback ) {
+
+        let pageId = ( this._pageId + 1 ) % this.pages.length;
+        return this._changePage( pageId, 1, callback );
+
+    }
+
+    /**
+     * Shows the previous page, using the transition of the UI if any.
+     *
+     * @param {function} [callback] - Called with the new page when the
+     * transition ends.
+     * @returns {Promise} resolved with the new page when the transition ends.
+     * @memberof VRUI
+     */
+    prevPage( callback ) {
+
+        let pageId = ( this._pageId - 1 ) % this.pages.length;
+        pageId = ( pageId < 0 ) ? this.pages.length - 1 : pageId;
+        return this._changePage( pageId, - 1, callback );
+
+    }
+
+    /**
+     * Sets the transition used when changing page.
+     *
+     * @param {VRUI.AbstractTransition} transition - Transition to use, or null
+     * to swap pages instantly.
+     * @returns this instance, allowing to chain the calls.
+     * @memberof VRUI
+     */
+    setTransition( transition ) {
+
+        if ( this.transition && this.transition.running ) this.transition.end();
+        this.transition = transition || null;
+        return this;
+
+    }
+
+    /**
+     * Bends the pages onto a section of a vertical cylinder, centered on the
+     * user. Elements are placed and oriented along the arc, and the
+     * backgrounds of the layouts are curved. Wide panels stay readable at
+     * their edges, as every element faces the axis of the cylinder.
+     *
+     * The axis is in front of the center of the pages, at the given
+     * distance. It should match the distance between the user and the UI.
+     *
+     * @param {number} radius - Radius of the cylinder, in Three.js units, or
+     * null to make the pages flat again.
+     * @returns this instance, allowing to chain the calls.
+     * @memberof VRUI
+     */
+    setCurveRadius( radius ) {
+
+        if ( radius !== null && !( radius > 0.0 ) ) {
+            let errorMsg = `radius should be a positive number, or null.`;
+            throw new TypeError( `VRUI.setCurveRadius(): ` + errorMsg );
+        }
+
+        this.curveRadius = radius;
+        if ( radius ) this._curvePages();
+        else for ( let page of this.pages ) flattenPage( page );
+        return this;
+
+    }
+
+    /**
+     * Places the UI using the given anchor, e.g: in front of the camera, or
+     * attached to a controller. The previous anchor, if any, is detached.
+     * Anchors are updated by `update()'.
+     *
+     * @param {VRUI.anchor.AbstractAnchor} anchor - Anchor placing the UI, or
+     * null to leave the UI where it is.
+     * @returns this instance, allowing to chain the calls.
+     * @memberof VRUI
+     */
+    setAnchor( anchor ) {
+
+        if ( anchor !== null && !( anchor instanceof AbstractAnchor ) ) {
+            let errorMsg = `anchor should be an AbstractAnchor instance, or null.`;
+            throw new TypeError( `VRUI.setAnchor(): ` + errorMsg );
+        }
+
+        if ( this.anchor ) this.anchor.detach( this.pageGroup, this._scene );
+        this.anchor = anchor;
+        if ( anchor ) {
+            anchor.attach( this.pageGroup, this._scene );
+            anchor.update( this.pageGroup, 0.0 );
+        }
+        return this;
+
+    }
+
+    /**
+     * Shows the UI. If animation options are given, the UI grows from its
+     * center, otherwise it appears instantly. Inputs interact with the UI
+     * once it is fully shown.
+     *
+     * @param {Object} [options] - Animation options, see VRUI.Tween. e.g:
+     * { duration: 0.2, easing: VRUI.Easing.backOut }
+     * @returns {Promise} resolved with this instance when the UI is shown.
+     * @memberof VRUI
+     */
+    show( options ) {
 
-        this._pageId = ( this._pageId + 1 ) % this.pages.length;
-        // Hides previous page
-        this.currPage.setVisible( false );
-        // TODO: Adds transition function chosen by the developer.
-        this.currPage = this.pages[ this._pageId ];
-        // Show next page
-        this.currPage.setVisible( true );
+        return this._setVisible( true, options );
 
     }
 
-    prevPage() {
+    /**
+     * Hides the UI. If animation options are given, the UI shrinks to its
+     * center, otherwise it disappears instantly. Inputs are released
+     * immediately, and ignored while the UI is hidden.
+     *
+     * @param {Object} [options] - Animation options, see VRUI.Tween.
+     * @returns {Promise} resolved with this instance when the UI is hidden.
+     * @memberof VRUI
+     */
+    hide( options ) {
 
-        this._pageId = ( this._pageId - 1 ) % this.pages.length;
-        this._pageId = ( this._pageId < 0 ) ? this.pages.length - 1 : this._pageId;
-        // Hides previous page
-        this.currPage.setVisible( false );
-        // TODO: Adds transition function chosen by the developer.
-        this.currPage = this.pages[ this._pageId ];
-        // Show next page
-        this.currPage.setVisible( true );
+        return this._setVisible( false, options );
+
+    }
+
+    /**
+     * Hides the UI if it is shown, shows it otherwise.
+     *
+     * @param {Object} [options] - Animation options, see VRUI.Tween.
+     * @returns {Promise} resolved with this instance when the animation
+     * ends.
+     * @memberof VRUI
+     */
+    toggle( options ) {
+
+        return this._setVisible( !this.visible, options );
+
+    }
+
+    /**
+     * Adds callback triggered when the UI is fully shown.
+     *
+     * @param {function} callback - callback to trigger when event is called.
+     * @returns this instance, allowing to chain the calls.
+     * @memberof VRUI
+     */
+    onShow( callback ) {
+
+        this._onShow = callback;
+        return this;
+
+    }
+
+    /**
+     * Adds callback triggered when the UI is fully hidden.
+     *
+     * @param {function} callback - callback to trigger when event is called.
+     * @returns this instance, allowing to chain the calls.
+     * @memberof VRUI
+     */
+    onHide( callback ) {
+
+        this._onHide = callback;
+        return this;
+
+    }
+
+    /**
+     * Shows and hides the UI using a controller, or any THREE.Object3D,
+     * e.g: when a button is pressed, or when the user looks at their wrist.
+     *
+     * @param {THREE.Object3D} object - Object performing the gesture.
+     * @param {Object} [data] - Gesture options, see VRUI.SummonGesture.
+     * @returns {VRUI.SummonGesture} the created gesture.
+     * @memberof VRUI
+     */
+    addSummonGesture( object, data ) {
+
+        let gesture = new SummonGesture( this, object, data );
+        this.gestures.push( gesture );
+        return gesture;
+
+    }
+
+    /**
+     * Removes a gesture created with `addSummonGesture()'.
+     *
+     * @param {VRUI.SummonGesture} gesture - Gesture to remove.
+     * @memberof VRUI
+     */
+    removeSummonGesture( gesture ) {
+
+        let index = this.gestures.indexOf( gesture );
+        if ( index >= 0 ) this.gestures.splice( index, 1 );
+
+    }
+
+    /**
+     * Finds every element matching the predicate, in all the pages. Pages
+     * are searched in order, each one breadth-first.
+     *
+     * @param {function} predicate - function( element ) returning true when
+     * the element matches.
+     * @returns {Array[VRUI.Element]} the matching elements.
+     * @memberof VRUI
+     */
+    findAll( predicate ) {
+
+        let result = [];
+        for ( let page of this.pages ) {
+            if ( predicate( page ) ) result.push( page );
+            if ( page._elements ) result.push( ...page.findAll( predicate ) );
+        }
+        return result;
+
+    }
+
+    /**
+     * Finds the first element matching the predicate, in all the pages.
+     *
+     * @param {function} predicate - function( element ) returning true when
+     * the element matches.
+     * @returns {VRUI.Element} the element, or null if none matches.
+     * @memberof VRUI
+     */
+    find( predicate ) {
+
+        for ( let page of this.pages ) {
+            if ( predicate( page ) ) return page;
+            let elt = page._elements ? page.find( predicate ) : null;
+            if ( elt ) return elt;
+        }
+        return null;
+
+    }
+
+    /**
+     * @param {any} id - Value of the `id' data of the element.
+     * @returns {VRUI.Element} the first element with the given id, in all
+     * the pages, or null.
+     * @memberof VRUI
+     */
+    getElementById( id ) {
+
+        return this.find( ( elt ) => elt.data.id === id );
+
+    }
+
+    /**
+     * Finds the elements matching a selector, in all the pages. e.g:
+     * gui.querySelectorAll( 'slider' ), gui.querySelector( '#title' )
+     *
+     * @param {string} selector - Selector to match, see
+     * `AbstractLayout.querySelectorAll()'.
+     * @returns {Array[VRUI.Element]} the matching elements.
+     * @memberof VRUI
+     */
+    querySelectorAll( selector ) {
+
+        let chains = parseSelector( selector );
+        return this.findAll( ( elt ) => matchSelector( elt, chains ) );
+
+    }
+
+    /**
+     * @param {string} selector - Selector to match.
+     * @returns {VRUI.Element} the first element matching the selector, in
+     * all the pages, or null.
+     * @memberof VRUI
+     */
+    querySelector( selector ) {
+
+        let chains = parseSelector( selector );
+        return this.find( ( elt ) => matchSelector( elt, chains ) );
 
     }
 
@@ -286,103 +813,199 @@ export default class VRUI {
             throw new TypeError( `VRUI.addToScene(): ` + errorMsg );
         }
 
-        scene.add( this.pageGroup );
+        this._scene = scene;
+        if ( this.anchor ) this.anchor.attach( this.pageGroup, scene );
+        else scene.add( this.pageGroup );
 
     }
 
     /**
      *
-     * Enable mouse interactions. The method will bind mouse events
-     * on the window element.
+     * Enable mouse interactions. The mouse is added to the inputs of the UI,
+     * and mouse events are bound on the window element.
      *
      * @param  {THREE.Camera} camera The camera used for unprojection.
      * @param  {THREE.WebGLRenderer} renderer The main THREE renderer.
+     * @returns {VRUI.MouseInput} the created input.
      */
     enableMouse( camera, renderer ) {
 
-        if ( !camera ) {
-            let errorMsg = `you did not provide any camera.`;
-            throw Error( `VRUI.enableMouse(): ` + errorMsg );
-        }
+        if ( this._mouseInput ) this.disableMouse();
 
-        if ( camera.constructor === THREE.Camera ) {
-            let errorMsg = `the provided image is not a THREE.Camera.`;
-            throw Error( `VRUI.enableMouse(): ` + errorMsg );
-        }
+        this._mouseInput = this.addInput( new MouseInput( camera, renderer ) );
+        return this._mouseInput;
 
-        this._mouse.camera = camera;
-        this._mouse.renderer = renderer;
-        this._mouse.enabled = true;
+    }
 
-        this._mouse.move = ( event ) => {
+    /**
+     * Disable mouse interactions. The method will remove registered events
+     * from the window element.
+     */
+    disableMouse() {
 
-            let coords = this._mouse.coords;
-            coords.x = ( event.offsetX / this._mouse.renderer.domElement.width ) * 2 - 1;
-            coords.y = - ( event.offsetY / this._mouse.renderer.domElement.height ) * 2 + 1;
+        if ( !this._mouseInput ) return;
 
-        };
+        this.removeInput( this._mouseInput );
+        this._mouseInput.dispose();
+        this._mouseInput = null;
 
-        this._mouse.up = () => {
+    }
 
-            this._state.pressed = false;
+    /**
+     *
+     * Enable gaze interactions, for headsets without controllers. The view
+     * direction of the camera is used as a pointer, and focusable views are
+     * activated after being looked at for the dwell time. A reticle shows
+     * the dwell progress.
+     *
+     * @param {THREE.Camera} camera - The camera of the user.
+     * @param {Object} [data] - Gaze options, see VRUI.GazeInput, as well as
+     * `visual': options of the reticle, see VRUI.PointerVisual. If null,
+     * nothing is drawn.
+     * @returns {VRUI.GazeInput} the created input.
+     * @memberof VRUI
+     */
+    enableGaze( camera, data ) {
 
-        };
+        if ( this._gazeInput ) this.disableGaze();
 
-        this._mouse.down = ( event ) => {
+        let options = data || {};
+        this._gazeInput = this.addInput( new GazeInput( camera, options ) );
+        if ( options.visual !== null )
+            this.setPointerVisual( this._gazeInput, Object.assign( { ray: false }, options.visual ) );
+        return this._gazeInput;
 
-            if ( event.button === 0 ) this._state.pressed = true;
+    }
 
-        };
+    /**
+     * Disable gaze interactions, and removes the reticle.
+     *
+     * @memberof VRUI
+     */
+    disableGaze() {
 
-        window.addEventListener( `mousemove`, this._mouse.move );
-        window.addEventListener( `mousedown`, this._mouse.down );
-        window.addEventListener( `mouseup`, this._mouse.up );
+        if ( !this._gazeInput ) return;
 
-        this._update = this._updateMouse;
+        this.removeInput( this._gazeInput );
+        this._gazeInput.dispose();
+        this._gazeInput = null;
 
     }
 
     /**
-     * Disable mouse interactions. The method will remove registered events
-     * from the window element.
+     * Adds an input to the UI. Several inputs can be used at the same time,
+     * e.g: two controllers and the mouse.
+     *
+     * If a THREE.Object3D is given, its orientation will be used as a
+     * pointer. If you want the UI to be informed that a button has been
+     * pressed, you have to call `setPressed' by hand, or add the vrui.pressed
+     * variable to the Object3D user data, e.g:
+     *
+     * inputObj.userData.vrui = {};
+     * inputObj.userData.vrui.pressed = true; // or false
+     *
+     * An input, or an object, that is already added is not added twice, e.g:
+     * when a controller reconnects.
+     *
+     * @param {THREE.Object3D | VRUI.AbstractInput} input - Object to use as
+     * a pointer, or any instance of VRUI.AbstractInput.
+     * @returns {VRUI.AbstractInput} the added input, or the existing one.
      */
-    disableMouse() {
+    addInput( input ) {
 
-        this._mouse.enabled = false;
+        let existing = this.inputs.find( ( elt ) => {
 
-        window.removeEventListener( `mousemove`, this._mouse.move );
-        window.removeEventListener( `mousedown`, this._mouse.down );
-        window.removeEventListener( `mouseup`, this._mouse.up );
+            return elt === input || elt.object === input;
 
-        this._update = this._updateVR;
+        } );
+        if ( existing ) return existing;
+
+        let result = input;
+        if ( !( input instanceof AbstractInput ) ) {
+            if ( !( input instanceof THREE.Object3D ) ) {
+                let errorMsg = `input object is neither a THREE.Object3D `;
+                errorMsg += `instance, nor a VRUI.AbstractInput instance.`;
+                throw Error( `VRUI.addInput(): ` + errorMsg );
+            }
+            result = new ObjectInput( input );
+        }
+
+        this.inputs.push( result );
+        return result;
 
     }
 
     /**
-     * Adds a THREE.Object3D element as an input. The element orientation
-     * will be used as a pointer. If you want the UI to be informed that a button
-     * has been pressed, you have to call `setPressed' by hand, or add the
-     * vrui.pressed variable to the Object3D user data, e.g:
+     * Removes an input from the UI. Elements hovered or pressed by this
+     * input are released.
      *
-     * inputObj.userData.vrui = {};
-     * inputObj.userData.vrui.pressed = true; // or false
+     * @param {THREE.Object3D | VRUI.AbstractInput} input - Input to remove,
+     * or the THREE.Object3D it was created from.
+     * @returns {VRUI.AbstractInput} the removed input, or null if it was
+     * not found.
+     */
+    removeInput( input ) {
+
+        let inputs = this.inputs;
+        let index = inputs.findIndex( ( elt ) => {
+
+            return elt === input || elt.object === input;
+
+        } );
+        if ( index < 0 ) return null;
+
+        let removed = inputs[ index ];
+        inputs.splice( index, 1 );
+        this.recognizer.cancel( removed );
+        if ( removed.visual ) {
+            removed.visual.dispose();
+            removed.visual = null;
+        }
+        for ( let page of this.pages ) page._forceExit( removed );
+
+        return removed;
+
+    }
+
+    /**
+     * Draws the pointer of an input: a ray stopping at the hit point, and a
+     * reticle changing color when the UI is hovered or pressed. The visual
+     * is added to the scene given to `addToScene()'.
      *
-     * @param {*} object
+     * @param {THREE.Object3D | VRUI.AbstractInput} input - Input to draw, or
+     * the THREE.Object3D it was created from.
+     * @param {Object} [data] - Options of the visual, see
+     * VRUI.PointerVisual. The mouse has no ray by default. If null, the
+     * visual of the input is removed.
+     * @returns {VRUI.PointerVisual} the created visual, or null.
+     * @memberof VRUI
      */
-    addInput( object ) {
+    setPointerVisual( input, data ) {
 
-        if ( !( object instanceof THREE.Object3D ) ) {
-            let errorMsg = `input object is not a THREE.Object3D instance.`;
-            throw Error( `VRUI.addInput(): ` + errorMsg );
+        let found = this.inputs.find( ( elt ) => {
+
+            return elt === input || elt.object === input;
+
+        } );
+        if ( !found ) {
+            let errorMsg = `the input should be added to the UI first.`;
+            throw Error( `VRUI.setPointerVisual(): ` + errorMsg );
         }
 
-        this.inputObject = object;
+        if ( found.visual ) found.visual.dispose();
+        found.visual = null;
+        if ( data === null ) return null;
+
+        found.visual = new PointerVisual( Object.assign( {
+            ray: found.type !== `mouse`
+        }, data ) );
+        return found.visual;
 
     }
 
     /**
-     * Specify whether the input (the mouse or the Three.Object3D) should trigger
-     * the UI.
+     * Specify whether the inputs created from a Three.Object3D should
+     * trigger the UI.
      *
      * Alternatively, you can set the vrui.pressed variable
      * to the Object3D user data, e.g:
@@ -391,44 +1014,209 @@ export default class VRUI {
      * inputObj.userData.vrui.pressed = true; // or false
      *
      * @param {Boolean} trigger - true to make input object activated.
+     * @param {THREE.Object3D} [object] - Only affects the input created
+     * from this object. If not provided, every object input is affected.
      */
-    setPressed( trigger ) {
+    setPressed( trigger, object ) {
 
-        if ( this._mouse.enabled ) {
-            let warnMsg = `this method only works with input object.`;
-            console.warn( `VRUI.setPressed(): ` + warnMsg );
-            return;
+        for ( let input of this.inputs ) {
+            if ( !( input instanceof ObjectInput ) ) continue;
+            if ( !object || input.object === object ) input.setPressed( trigger );
         }
-        this._forcePressed = trigger;
 
     }
 
-    _updateMouse() {
+    _changePage( pageId, direction, callback ) {
 
-        this._raycaster.setFromCamera( this._mouse.coords, this._mouse.camera );
-        return this.currPage._intersect( this._raycaster, this._state );
+        // Ends the running transition, if any, to start from a clean state.
+        if ( this.transition && this.transition.running ) this.transition.end();
+
+        let from = this.currPage;
+        let to = this.pages[ pageId ];
+
+        this._pageId = pageId;
+        this.currPage = to;
+
+        // The input will be ignored during the transition, elements hovered
+        // on the previous page should be released.
+        for ( let input of this.inputs ) {
+            from._forceExit( input );
+            this.recognizer.cancel( input );
+        }
+
+        return new Promise( ( resolve ) => {
+
+            let onEnd = () => {
+
+                if ( callback ) callback( to );
+                resolve( to );
+
+            };
+
+            if ( !this.transition || from === to ) {
+                if ( from !== to ) from.setVisible( false );
+                to.setVisible( true );
+                onEnd();
+                return;
+            }
+
+            this.transition.start( from, to, direction, onEnd );
+
+        } );
+
+    }
+
+    _setVisible( visible, options ) {
+
+        // Interrupts the running animation, its promise is still resolved.
+        let group = this.pageGroup;
+        this.animator.cancel( group );
+        if ( this._endVisibility ) this._endVisibility();
+
+        if ( !visible && this.visible && !this._endVisibility )
+            this._shownScale.copy( group.scale );
+        this._endVisibility = null;
+        this.visible = visible;
+
+        if ( !visible && this.currPage ) {
+            for ( let input of this.inputs ) this.currPage._forceExit( input );
+        }
+        if ( !visible ) this.focus.blur();
+
+        return new Promise( ( resolve ) => {
+
+            let onEnd = () => {
+
+                this._endVisibility = null;
+                if ( visible ) group.scale.copy( this._shownScale );
+                else group.visible = false;
+
+                let callback = visible ? this._onShow : this._onHide;
+                if ( callback ) callback( this );
+                resolve( this );
+
+            };
+
+            if ( !options || ( !visible && !group.visible ) ) {
+                group.visible = true;
+                onEnd();
+                return;
+            }
+
+            // A null scale would make the matrices impossible to invert.
+            let hiddenScale = this._shownScale.clone().multiplyScalar( HIDDEN_SCALE );
+            if ( visible && !group.visible ) group.scale.copy( hiddenScale );
+            group.visible = true;
+
+            this._endVisibility = () => resolve( this );
+            let to = visible ? this._shownScale.clone() : hiddenScale;
+            this.animator.animate( group, { scale: to }, Object.assign( {}, options, {
+                onComplete: ( target ) => {
+
+                    if ( options.onComplete ) options.onComplete( target );
+                    onEnd();
+
+                }
+            } ) );
+
+        } );
+
+    }
+
+    _update( dt ) {
+
+        let result = null;
+        if ( !this.visible || this._endVisibility ) {
+            for ( let input of this.inputs ) {
+                input.intersection = null;
+                input.hovered = null;
+                this.currPage._forceExit( input );
+                this.recognizer.cancel( input );
+                this._updateVisual( input, false );
+            }
+            return result;
+        }
+
+        for ( let input of this.inputs ) {
+            input.intersection = null;
+            if ( !input.enabled || !input.update( dt ) ) {
+                input.hovered = null;
+                this.currPage._forceExit( input );
+                this.recognizer.cancel( input );
+                this._updateVisual( input, false );
+                continue;
+            }
+
+            // e.g: the controller holding the UI can't point at it, it only
+            // drives the layouts reacting to its thumbstick.
+            if ( this.anchor && this.anchor.ignores( input ) ) {
+                input.intersection = this.currPage._intersectAttached( input.state );
+                input.hovered = this.currPage._getHovered( input );
+                this.recognizer.update( input, this.currPage, dt );
+                this._updateVisual( input, false );
+                result = result || input.intersection;
+                continue;
+            }
+
+            // A captured input only interacts with the capturing element, as
+            // long as it belongs to the current page.
+            let captured = input._capture;
+            if ( captured && !this._isShown( captured ) ) {
+                captured.releasePointerCapture( input );
+                captured = null;
+            }
+
+            input.intersection = ( captured || this.currPage )._intersect(
+                input.raycaster, input.state
+            );
+            input.hovered = this.currPage._getHovered( input );
+            this.recognizer.update( input, this.currPage, dt );
+
+            // The capture ends with the press.
+            if ( input._capture && !input.state.pressed )
+                input._capture.releasePointerCapture( input );
+
+            this._updateVisual( input, true );
+            result = result || input.intersection;
+        }
+        return result;
 
     }
 
-    _updateVR() {
+    /**
+     * Checks whether the element is visible and belongs to the current page.
+     */
+    _isShown( element ) {
+
+        let elt = element;
+        for ( ; elt.parent; elt = elt.parent )
+            if ( !elt.visible ) return false;
+        return elt === this.currPage && elt.visible;
+
+    }
+
+    /**
+     * Moves the ray and the reticle of the input, if any, or hides them.
+     */
+    _updateVisual( input, visible ) {
+
+        let visual = input.visual;
+        if ( !visual ) return;
 
-        if ( !this.inputObject ) return null;
+        let scene = this._scene;
+        if ( !visible || !scene ) {
+            visual.setVisible( false );
+            return;
+        }
 
-        this._state.pressed = this.inputObject.userData.vrui.pressed
-                            || this._forcePressed;
+        if ( visual.group.parent !== scene ) scene.add( visual.group );
+        visual.update( input, input.intersection );
 
-        this._controllerRotation.identity().extractRotation(
-            this.inputObject.matrixWorld
-        );
+    }
 
-        this._raycaster.ray.origin.setFromMatrixPosition(
-            this.inputObject.matrixWorld
-        );
-        this._raycaster.ray.direction.set( 0, 0, -1 ).applyMatrix4(
-            this._controllerRotation
-        );
+    _hideVisuals() {
 
-        return this.currPage._intersect( this._raycaster, this._state );
+        for ( let input of this.inputs ) this._updateVisual( input, false );
 
     }
 
@@ -451,18 +1239,10 @@ export default class VRUI {
 
         let lastPage = pages.length ? pages[ pages.length - 1 ] : null;
 
-        let findLayout = ( elt ) => {
-            if ( elt.data.id === layoutID ) return elt;
-            return null;
-        };
-
-        if ( !lastPage ) {
-            lastPage = template.clone();
-            this.addPage( lastPage );
-        }
+        if ( !lastPage ) lastPage = this._addAutoPage( template );
 
         if ( layoutID )
-            lastPage = this._visit( lastPage, findLayout );
+            lastPage = lastPage.getElementById( layoutID );
 
         if ( !( lastPage instanceof AbstractLayout ) ) {
             let errorMsg = `trying to add element in an element that is not `;
@@ -471,9 +1251,8 @@ export default class VRUI {
         }
 
         if ( lastPage.isFull() ) {
-            let page = template.clone();
-            this.addPage( page );
-            if ( layoutID ) lastPage = this._visit( page, findLayout );
+            let page = this._addAutoPage( template );
+            lastPage = layoutID ? page.getElementById( layoutID ) : page;
         }
 
         if ( !lastPage ) {
@@ -484,25 +1263,119 @@ export default class VRUI {
         }
 
         lastPage.add( element );
+        this._flow.push( { element: element, layoutID: layoutID } );
+
+    }
+
+    _addAutoPage( template ) {
+
+        let page = template.clone();
+        this._autoPages.add( page );
+        this.addPage( page );
+        return page;
 
     }
 
-    _visit( layout, callback ) {
+    /**
+     * Adds again, in order, every element added with `add()'. Elements
+     * following a removed one move back to fill the gap, and automatic
+     * pages left empty are removed. Pages keep their index.
+     */
+    _reflow() {
+
+        let currPage = this.currPage;
+
+        // The pages the elements are spread over: the automatic pages, and
+        // the pages they were added to.
+        let flow = this._flow.filter( ( entry ) => entry.element.parent );
+        let roots = new Set( flow.map( ( entry ) => {
 
-        if ( !layout._elements ) return null;
+            let root = entry.element;
+            while ( root.parent ) root = root.parent;
+            return root;
 
-        let visited = [];
-        for ( let elt of layout._elements ) visited.push( elt );
-        while ( visited.length > 0 ) {
-            let elt = visited.shift();
-            // The element has been found
-            let res = callback( elt );
-            if ( res ) return res;
+        } ) );
+        let pages = this.pages.filter( ( page ) => this._autoPages.has( page ) || roots.has( page ) );
 
-            if ( elt._elements )
-                for ( let e of elt._elements ) visited.push( e );
+        for ( let entry of flow ) {
+            let parent = entry.element.parent;
+            parent._removeItem( parent._elements.indexOf( entry.element ) );
+        }
+
+        // The elements fill the pages again, from the first one.
+        this._flow = [];
+        let index = 0;
+        for ( let entry of flow ) {
+            let layout = null;
+            for ( ; index < pages.length; ++index ) {
+                let page = pages[ index ];
+                layout = entry.layoutID ? page.getElementById( entry.layoutID ) : page;
+                if ( layout instanceof AbstractLayout && !layout.isFull() ) break;
+                layout = null;
+            }
+
+            if ( layout ) {
+                layout.add( entry.element );
+                this._flow.push( entry );
+            } else {
+                this._addWithExpansion( entry.element, entry.layoutID );
+            }
+        }
+
+        let used = flow.length > 0 ? index + 1 : 0;
+        for ( let page of pages.slice( used ) ) {
+            if ( !this._autoPages.has( page ) ) continue;
+            this._detachPage( page );
+            this._autoPages.delete( page );
+        }
+
+        let pageId = this.pages.indexOf( currPage );
+        this._showPage( pageId >= 0 ? pageId : Math.min( this._pageId, this.pages.length - 1 ) );
+        this.refresh();
+
+    }
+
+    _detachPage( page ) {
+
+        for ( let input of this.inputs ) page._forceExit( input );
+
+        this.pages.splice( this.pages.indexOf( page ), 1 );
+        this.pageGroup.remove( page.group );
+        page.off( `childremove`, this._onChildRemove );
+        page._animator = null;
+        flattenPage( page );
+
+    }
+
+    /**
+     * Bends the visible pages, if the UI is curved. Hidden pages are bent
+     * once they are shown.
+     */
+    _curvePages() {
+
+        if ( !this.curveRadius ) return;
+        for ( let page of this.pages )
+            if ( page.visible ) curvePage( page, this.curveRadius );
+
+    }
+
+    /**
+     * Makes the given page the current one, without transition.
+     */
+    _showPage( pageId ) {
+
+        if ( this.pages.length === 0 ) {
+            this._pageId = 0;
+            this.currPage = null;
+            return;
+        }
+
+        this._pageId = pageId;
+        this.currPage = this.pages[ pageId ];
+        for ( let page of this.pages ) {
+            if ( page === this.currPage ) page.setVisible( true );
+            else if ( page.visible ) page.setVisible( false );
         }
-        return null;
 
     }
 
@@ -0,0 +1,341 @@
+/**
+* VRUI Javascript UI Library
+* https://github.com/artflow-vr/vr-ui
+*
+* MIT License
+*
+* Copyright (c) 2017 artflow-vr
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy
+* of this software and associated documentation files (the "Software"), to deal
+* in the Software without restriction, including without limitation the rights
+* to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+* copies of the Software, and to permit persons to whom the Software is
+* furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all
+* copies or substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+* IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+* FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+* AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+* LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+* SOFTWARE.
+*/
+
+import AbstractLayout from './layout/abstract-layout';
+import { VerticalLayout, HorizontalLayout, GridLayout, ScrollLayout, StackLayout, RadialLayout } from './layout/layout';
+import { ImageButton, TextView, CheckboxView, SliderView } from './view/view';
+import { SlideTransition, FadeTransition, ScaleTransition, FlipTransition } from './transition/transition';
+import { Easing } from './utils/easing';
+
+/**
+ * Describes UI hierarchies as plain data, e.g:
+ *
+ * {
+ *     type: 'vertical',
+ *     style: { background: '#2c3e50' },
+ *     children: [
+ *         { type: 'slider', id: 'size', data: { handle: 'handle.png' }, value: 0.5 },
+ *         { type: 'checkbox', id: 'visible', checked: true }
+ *     ]
+ * }
+ *
+ * Textures and materials are referenced by name, and are resolved with a
+ * user-supplied resolver: either a function( name ) returning the asset,
+ * or an object mapping names to assets. Colors can be given as numbers, or
+ * as '#rrggbb' strings.
+ */
+
+// Element types usable in a schema, by name.
+let ELEMENT_TYPES = {};
+
+let TRANSITION_TYPES = {
+    slide: SlideTransition,
+    fade: FadeTransition,
+    scale: ScaleTransition,
+    flip: FlipTransition
+};
+
+// Style properties referencing an asset.
+const STYLE_ASSETS = [ `background` ];
+
+/**
+ * Makes an element type usable in a schema.
+ *
+ * @param {string} name - Name used in the `type' field of the schema.
+ * @param {function} constructor - Element class, called with
+ * ( data, style ).
+ * @param {Object} [options] - Contains:
+ * - assets: names of the data properties referencing a texture, a material
+ * or a color.
+ * - save: function( element, json ), adding the state of the element to
+ * its schema.
+ * - load: function( element, json ), restoring the state saved by `save'.
+ */
+let registerType = ( name, constructor, options = {} ) => {
+
+    if ( typeof constructor !== `function` ) {
+        let errorMsg = `constructor should be an Element class.`;
+        throw new TypeError( `registerType(): ` + errorMsg );
+    }
+
+    ELEMENT_TYPES[ name ] = {
+        constructor: constructor,
+        assets: options.assets || [],
+        save: options.save || null,
+        load: options.load || null
+    };
+
+};
+
+let resolveAsset = ( value, resolver ) => {
+
+    if ( typeof value !== `string` ) return value;
+    if ( value[ 0 ] === `#` ) return parseInt( value.slice( 1 ), 16 );
+
+    if ( !resolver ) {
+        let errorMsg = `asset '` + value + `' found, but no resolver provided.`;
+        throw Error( `fromJSON(): ` + errorMsg );
+    }
+
+    let asset = typeof resolver === `function` ? resolver( value ) : resolver[ value ];
+    if ( asset === undefined || asset === null ) {
+        let errorMsg = `asset '` + value + `' could not be resolved.`;
+        throw Error( `fromJSON(): ` + errorMsg );
+    }
+    return asset;
+
+};
+
+let nameAsset = ( value, namer ) => {
+
+    if ( value === null || typeof value !== `object` ) return value;
+
+    let name = null;
+    if ( typeof namer === `function` ) name = namer( value );
+    else if ( namer ) {
+        for ( let k in namer )
+            if ( namer[ k ] === value ) name = k;
+    }
+    return name || value.name || null;
+
+};
+
+/**
+ * Copies plain values, turning assets into their names. Functions, as well
+ * as unnamed assets, cannot be serialized and are skipped.
+ */
+let copyValues = ( values, assets, namer ) => {
+
+    let result = {};
+    for ( let k in values ) {
+        let value = values[ k ];
+        if ( value === null || value === undefined || typeof value === `function` )
+            continue;
+
+        if ( assets.includes( k ) ) value = nameAsset( value, namer );
+        else if ( typeof value === `object` ) value = JSON.parse( JSON.stringify( value ) );
+
+        if ( value === null ) {
+            let warnMsg = `property '` + k + `' references an asset without name, `;
+            warnMsg += `it is not serialized.`;
+            console.warn( `toJSON(): ` + warnMsg );
+            continue;
+        }
+        result[ k ] = value;
+    }
+    return result;
+
+};
+
+/**
+ * Builds an element, and its children, from its schema.
+ *
+ * @param {Object} schema - Element schema. e.g: { type: 'slider', ... }
+ * @param {function|Object} [resolver] - Resolves the assets names.
+ * @returns {VRUI.Element} the created element.
+ */
+let fromJSON = ( schema, resolver ) => {
+
+    let entry = schema ? ELEMENT_TYPES[ schema.type ] : null;
+    if ( !entry ) {
+        let errorMsg = `unknown element type '` + ( schema && schema.type ) + `'.`;
+        throw new TypeError( `fromJSON(): ` + errorMsg );
+    }
+
+    let data = null;
+    if ( schema.data ) {
+        data = Object.assign( {}, schema.data );
+        for ( let k of entry.assets ) data[ k ] = resolveAsset( data[ k ], resolver );
+    }
+
+    let style = null;
+    if ( schema.style ) {
+        style = JSON.parse( JSON.stringify( schema.style ) );
+        for ( let k of STYLE_ASSETS ) {
+            if ( style[ k ] !== undefined )
+                style[ k ] = resolveAsset( schema.style[ k ], resolver );
+        }
+    }
+
+    let element = new entry.constructor( data, style );
+    if ( schema.id !== undefined ) element.data.id = schema.id;
+
+    if ( schema.children ) {
+        if ( !( element instanceof AbstractLayout ) ) {
+            let errorMsg = `element of type '` + schema.type + `' cannot have children.`;
+            throw new TypeError( `fromJSON(): ` + errorMsg );
+        }
+        for ( let child of schema.children ) element.add( fromJSON( child, resolver ) );
+    }
+
+    if ( entry.load ) entry.load( element, schema );
+    return element;
+
+};
+
+/**
+ * Describes an element, and its children, as plain data. The result can be
+ * given to `JSON.stringify()', and back to `fromJSON()'.
+ *
+ * @param {VRUI.Element} element - Element to serialize.
+ * @param {function|Object} [namer] - Gives the name of the assets, either a
+ * function( asset ) returning the name, or an object mapping names to
+ * assets. The `name' property of the asset is used otherwise.
+ * @returns {Object} the schema of the element.
+ */
+let toJSON = ( element, namer ) => {
+
+    let name = null;
+    for ( let k in ELEMENT_TYPES )
+        if ( ELEMENT_TYPES[ k ].constructor === element.constructor ) name = k;
+
+    if ( !name ) {
+        let errorMsg = `element type is not registered, see registerType().`;
+        throw new TypeError( `toJSON(): ` + errorMsg );
+    }
+
+    let entry = ELEMENT_TYPES[ name ];
+    let json = { type: name };
+    if ( element.data.id !== undefined ) json.id = element.data.id;
+
+    let data = copyValues( element.data, entry.assets, namer );
+    delete data.id;
+    if ( Object.keys( data ).length > 0 ) json.data = data;
+
+    let style = copyValues( element.style, STYLE_ASSETS, namer );
+    if ( Object.keys( style ).length > 0 ) json.style = style;
+
+    if ( element instanceof AbstractLayout )
+        json.children = element._elements.map( ( elt ) => toJSON( elt, namer ) );
+
+    if ( entry.save ) entry.save( element, json );
+    return json;
+
+};
+
+/**
+ * Builds a transition from its schema. e.g: { type: 'slide', axis: 'y',
+ * easing: 'quadOut' }
+ */
+let transitionFromJSON = ( schema ) => {
+
+    let Transition = TRANSITION_TYPES[ schema.type ];
+    if ( !Transition ) {
+        let errorMsg = `unknown transition type '` + schema.type + `'.`;
+        throw new TypeError( `transitionFromJSON(): ` + errorMsg );
+    }
+
+    let data = Object.assign( {}, schema );
+    delete data.type;
+    if ( typeof data.easing === `string` ) data.easing = Easing[ data.easing ];
+
+    return new Transition( data );
+
+};
+
+let transitionToJSON = ( transition ) => {
+
+    let json = { type: null };
+    for ( let k in TRANSITION_TYPES )
+        if ( TRANSITION_TYPES[ k ] === transition.constructor ) json.type = k;
+
+    if ( !json.type ) {
+        let errorMsg = `transition type is not supported.`;
+        throw new TypeError( `transitionToJSON(): ` + errorMsg );
+    }
+
+    Object.assign( json, transition.data );
+    delete json.easing;
+    // Custom easing functions cannot be serialized.
+    for ( let k in Easing )
+        if ( Easing[ k ] === transition.data.easing ) json.easing = k;
+
+    return json;
+
+};
+
+registerType( `vertical`, VerticalLayout );
+registerType( `horizontal`, HorizontalLayout );
+registerType( `grid`, GridLayout );
+registerType( `stack`, StackLayout );
+registerType( `radial`, RadialLayout );
+registerType( `scroll`, ScrollLayout, {
+    save: ( element, json ) => {
+
+        // Items provided by an adapter are not part of the schema.
+        if ( element._adapter ) delete json.children;
+        if ( json.data ) delete json.data.adapter;
+        if ( element.scrollPosition ) json.scrollPosition = element.scrollPosition;
+
+    },
+    load: ( element, json ) => {
+
+        if ( json.scrollPosition ) element.scrollTo( json.scrollPosition );
+
+    }
+} );
+registerType( `button`, ImageButton, { assets: [ `innerMaterial` ] } );
+registerType( `text`, TextView );
+registerType( `checkbox`, CheckboxView, {
+    assets: [ `check`, `empty` ],
+    save: ( element, json ) => {
+
+        json.checked = element.checked;
+
+    },
+    load: ( element, json ) => {
+
+        if ( json.checked !== undefined ) element.setChecked( json.checked );
+
+    }
+} );
+registerType( `slider`, SliderView, {
+    assets: [ `background`, `handle` ],
+    save: ( element, json ) => {
+
+        json.min = element._min;
+        json.max = element._max;
+        json.value = element._value;
+        if ( element._step ) json.step = element._step;
+
+    },
+    load: ( element, json ) => {
+
+        element.bounds( json.min, json.max );
+        if ( json.step ) element.step( json.step );
+        if ( json.value !== undefined ) element.setValue( json.value );
+
+    }
+} );
+
+export {
+    registerType,
+    fromJSON,
+    toJSON,
+    transitionFromJSON,
+    transitionToJSON
+};
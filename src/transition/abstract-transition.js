@@ -0,0 +1,240 @@
+/**
+* VRUI Javascript UI Library
+* https://github.com/artflow-vr/vr-ui
+*
+* MIT License
+*
+* Copyright (c) 2017 artflow-vr
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy
+* of this software and associated documentation files (the "Software"), to deal
+* in the Software without restriction, including without limitation the rights
+* to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+* copies of the Software, and to permit persons to whom the Software is
+* furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all
+* copies or substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+* IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+* FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+* AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+* LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+* SOFTWARE.
+*/
+
+import { Easing } from '../utils/easing';
+
+import { setUndefinedProps } from '../utils/property-check';
+
+/**
+ *
+ * Abstract class describing a transition between two pages: slide, fade, ...
+ *
+ * A transition is driven by the `update()' method of VRUI, and only depends
+ * on the time deltas it receives. This makes it fully deterministic.
+ * Subclasses only have to override the `_apply()' method, which receives
+ * the eased progress of the transition.
+ *
+ * @export
+ * @class AbstractTransition
+ */
+export default class AbstractTransition {
+
+    /**
+     * Creates an instance of AbstractTransition.
+     *
+     * @param {Object} [data] - Transition relative data. e.g:
+     * {
+     *     duration: 0.5, // In seconds
+     *     easing: VRUI.Easing.quadInOut
+     * }
+     * @memberof AbstractTransition
+     */
+    constructor( data ) {
+
+        this.data = data ? Object.assign( {}, data ) : {};
+        setUndefinedProps( {
+            duration: 0.5,
+            easing: Easing.quadInOut
+        }, this.data );
+
+        if ( this.data.duration < 0 ) {
+            let errorMsg = `duration should be positive.`;
+            throw new TypeError( `AbstractTransition.ctor(): ` + errorMsg );
+        }
+        if ( typeof this.data.easing !== `function` ) {
+            let errorMsg = `easing should be a function.`;
+            throw new TypeError( `AbstractTransition.ctor(): ` + errorMsg );
+        }
+
+        this.running = false;
+
+        // Page currently hidden, and page currently shown.
+        this.from = null;
+        this.to = null;
+        // 1 when going to the next page, -1 when going to the previous one.
+        this.direction = 1;
+
+        this._elapsed = 0.0;
+        this._onEnd = null;
+
+        this._fromState = null;
+        this._toState = null;
+
+    }
+
+    /**
+     * Starts the transition between the two given pages. If a transition
+     * is already running, it is ended first.
+     *
+     * @param {VRUI.Element} from - Page to hide.
+     * @param {VRUI.Element} to - Page to show.
+     * @param {number} direction - 1 for next page, -1 for previous page.
+     * @param {function} [onEnd] - Callback triggered when the transition ends.
+     * @memberof AbstractTransition
+     */
+    start( from, to, direction, onEnd ) {
+
+        if ( this.running ) this.end();
+
+        this.from = from;
+        this.to = to;
+        this.direction = direction || 1;
+
+        this._elapsed = 0.0;
+        this._onEnd = onEnd || null;
+
+        this._fromState = this._save( from );
+        this._toState = this._save( to );
+
+        to.setVisible( true );
+        this.running = true;
+
+        this._apply( this.data.easing( 0.0 ) );
+
+    }
+
+    /**
+     * Advances the transition.
+     *
+     * @param {number} dt - Elapsed time since the last update, in seconds.
+     * @returns true if the transition is still running, false otherwise.
+     * @memberof AbstractTransition
+     */
+    update( dt ) {
+
+        if ( !this.running ) return false;
+
+        this._elapsed += dt;
+
+        let duration = this.data.duration;
+        let t = duration > 0.0 ? Math.min( this._elapsed / duration, 1.0 ) : 1.0;
+        if ( t >= 1.0 ) {
+            this.end();
+            return false;
+        }
+
+        this._apply( this.data.easing( t ) );
+        return true;
+
+    }
+
+    /**
+     * Ends the transition immediately. The hidden page is made invisible,
+     * and both pages retrieve their original transform.
+     *
+     * @memberof AbstractTransition
+     */
+    end() {
+
+        if ( !this.running ) return;
+
+        this.running = false;
+
+        this._restore( this.from, this._fromState );
+        this._restore( this.to, this._toState );
+
+        if ( this.from !== this.to ) this.from.setVisible( false );
+        this.to.setVisible( true );
+
+        let onEnd = this._onEnd;
+        this._onEnd = null;
+        if ( onEnd ) onEnd();
+
+    }
+
+    /**
+     * Applies the transition to the `from' and `to' pages.
+     * This method should be overriden by every transitions.
+     *
+     * @param {number} t - Eased progress of the transition, in [0, 1].
+     * @memberof AbstractTransition
+     */
+    _apply() {}
+
+    _save( page ) {
+
+        let group = page.group;
+        return {
+            position: group.position.clone(),
+            scale: group.scale.clone(),
+            rotation: group.rotation.clone(),
+            visible: group.visible
+        };
+
+    }
+
+    _restore( page, state ) {
+
+        let group = page.group;
+        group.position.copy( state.position );
+        group.scale.copy( state.scale );
+        group.rotation.copy( state.rotation );
+        group.visible = state.visible;
+
+    }
+
+    /**
+     * Scales and rotates a page around its center, and translates it.
+     * The page group origin being its top left corner, the position is
+     * corrected to keep the center of the page in place.
+     *
+     * @param {VRUI.Element} page - Page to transform.
+     * @param {Object} state - Original transform of the page.
+     * @param {number} scale - Scale factor applied to the original scale.
+     * @param {number} angle - Angle, in radians, added around the Y axis.
+     * @param {THREE.Vector3} [offset] - Translation, in Three.js units.
+     * @memberof AbstractTransition
+     */
+    _transform( page, state, scale, angle, offset ) {
+
+        let group = page.group;
+        let dimensions = page._parentDimensions;
+
+        let center = new THREE.Vector3(
+            dimensions.width * 0.5, - dimensions.height * 0.5, 0.0
+        );
+
+        group.scale.copy( state.scale ).multiplyScalar( scale );
+        group.rotation.set(
+            state.rotation.x, state.rotation.y + angle, state.rotation.z
+        );
+
+        let initialCenter = center.clone().multiply( state.scale )
+            .applyEuler( state.rotation );
+        let currentCenter = center.clone().multiply( group.scale )
+            .applyEuler( group.rotation );
+
+        group.position.copy( state.position ).add( initialCenter )
+            .sub( currentCenter );
+        if ( offset ) group.position.add( offset );
+
+        // A null scale would lead to a non-invertible world matrix.
+        group.visible = scale > 0.0;
+
+    }
+
+}
@@ -0,0 +1,121 @@
+/**
+* VRUI Javascript UI Library
+* https://github.com/artflow-vr/vr-ui
+*
+* MIT License
+*
+* Copyright (c) 2017 artflow-vr
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy
+* of this software and associated documentation files (the "Software"), to deal
+* in the Software without restriction, including without limitation the rights
+* to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+* copies of the Software, and to permit persons to whom the Software is
+* furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all
+* copies or substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+* IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+* FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+* AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+* LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+* SOFTWARE.
+*/
+
+import AbstractTransition from './abstract-transition';
+
+/**
+ *
+ * Cross-fades the current page and the new one, by changing the opacity
+ * of every material they use.
+ *
+ * @export
+ * @class FadeTransition
+ */
+export default class FadeTransition extends AbstractTransition {
+
+    constructor( data ) {
+
+        super( data );
+
+        this._fromMaterials = null;
+        this._toMaterials = null;
+
+    }
+
+    start( from, to, direction, onEnd ) {
+
+        if ( this.running ) this.end();
+
+        this._fromMaterials = this._saveMaterials( from );
+        this._toMaterials = from !== to ? this._saveMaterials( to ) : [];
+
+        super.start( from, to, direction, onEnd );
+
+    }
+
+    end() {
+
+        if ( !this.running ) return;
+
+        this._restoreMaterials( this._fromMaterials );
+        this._restoreMaterials( this._toMaterials );
+
+        super.end();
+
+    }
+
+    _apply( t ) {
+
+        this._setOpacity( this._fromMaterials, 1.0 - t );
+        this._setOpacity( this._toMaterials, t );
+
+    }
+
+    _saveMaterials( page ) {
+
+        let materials = [];
+        let visited = [];
+        page.group.traverse( ( object ) => {
+
+            let material = object.material;
+            if ( !material || visited.includes( material ) ) return;
+            visited.push( material );
+
+            let uniform = material.uniforms ? material.uniforms.opacity : null;
+            materials.push( {
+                material: material,
+                uniform: uniform || null,
+                opacity: uniform ? uniform.value : material.opacity,
+                transparent: material.transparent
+            } );
+
+        } );
+        return materials;
+
+    }
+
+    _restoreMaterials( materials ) {
+
+        for ( let m of materials ) {
+            m.material.transparent = m.transparent;
+            if ( m.uniform ) m.uniform.value = m.opacity;
+            else m.material.opacity = m.opacity;
+        }
+
+    }
+
+    _setOpacity( materials, alpha ) {
+
+        for ( let m of materials ) {
+            m.material.transparent = true;
+            if ( m.uniform ) m.uniform.value = m.opacity * alpha;
+            else m.material.opacity = m.opacity * alpha;
+        }
+
+    }
+
+}
@@ -0,0 +1,57 @@
+/**
+* VRUI Javascript UI Library
+* https://github.com/artflow-vr/vr-ui
+*
+* MIT License
+*
+* Copyright (c) 2017 artflow-vr
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy
+* of this software and associated documentation files (the "Software"), to deal
+* in the Software without restriction, including without limitation the rights
+* to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+* copies of the Software, and to permit persons to whom the Software is
+* furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all
+* copies or substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+* IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+* FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+* AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+* LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+* SOFTWARE.
+*/
+
+import AbstractTransition from './abstract-transition';
+
+/**
+ *
+ * Flips the current page around the vertical axis, showing the new page
+ * as if it was on its back.
+ *
+ * @export
+ * @class FlipTransition
+ */
+export default class FlipTransition extends AbstractTransition {
+
+    _apply( t ) {
+
+        let halfPI = Math.PI * 0.5;
+        let sign = this.direction;
+
+        if ( t < 0.5 ) {
+            this._transform( this.from, this._fromState, 1.0,
+                sign * halfPI * 2.0 * t );
+            this._transform( this.to, this._toState, 0.0, 0.0 );
+        } else {
+            this._transform( this.from, this._fromState, 0.0, 0.0 );
+            this._transform( this.to, this._toState, 1.0,
+                - sign * halfPI * ( 2.0 - 2.0 * t ) );
+        }
+
+    }
+
+}
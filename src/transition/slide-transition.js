@@ -0,0 +1,77 @@
+/**
+* VRUI Javascript UI Library
+* https://github.com/artflow-vr/vr-ui
+*
+* MIT License
+*
+* Copyright (c) 2017 artflow-vr
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy
+* of this software and associated documentation files (the "Software"), to deal
+* in the Software without restriction, including without limitation the rights
+* to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+* copies of the Software, and to permit persons to whom the Software is
+* furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all
+* copies or substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+* IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+* FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+* AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+* LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+* SOFTWARE.
+*/
+
+import AbstractTransition from './abstract-transition';
+
+/**
+ *
+ * Slides the current page out while the new page slides in.
+ *
+ * @export
+ * @class SlideTransition
+ */
+export default class SlideTransition extends AbstractTransition {
+
+    /**
+     * Creates an instance of SlideTransition.
+     *
+     * @param {Object} [data] - Same data as AbstractTransition, with an extra
+     * `axis' property, either 'x' (default) or 'y'.
+     * @memberof SlideTransition
+     */
+    constructor( data ) {
+
+        super( data );
+
+        this.data.axis = this.data.axis || `x`;
+        if ( this.data.axis !== `x` && this.data.axis !== `y` ) {
+            let errorMsg = `axis should be either 'x' or 'y'.`;
+            throw new TypeError( `SlideTransition.ctor(): ` + errorMsg );
+        }
+
+    }
+
+    _apply( t ) {
+
+        let axis = this.data.axis;
+        let dimensions = this.to._parentDimensions;
+        let size = axis === `x` ? dimensions.width : dimensions.height;
+
+        let fromOffset = new THREE.Vector3();
+        let toOffset = new THREE.Vector3();
+        // Next page comes from the right (or the bottom), previous page
+        // comes from the left (or the top).
+        let sign = axis === `x` ? 1.0 : - 1.0;
+        fromOffset[ axis ] = - sign * this.direction * size * t;
+        toOffset[ axis ] = sign * this.direction * size * ( 1.0 - t );
+
+        this._transform( this.from, this._fromState, 1.0, 0.0, fromOffset );
+        this._transform( this.to, this._toState, 1.0, 0.0, toOffset );
+
+    }
+
+}
@@ -35,3 +35,7 @@ export const MARK_CHECKBOX = WHITE_LIGHT;
 
 export const BACK_SLIDER = DEFAULT;
 export const HANDLER_SLIDER = DEFAULT;
+
+export const POINTER = WHITE;
+export const POINTER_HOVER = HIGHLIGHT;
+export const POINTER_PRESSED = 0xE67E22;
@@ -0,0 +1,199 @@
+/**
+* VRUI Javascript UI Library
+* https://github.com/artflow-vr/vr-ui
+*
+* MIT License
+*
+* Copyright (c) 2017 artflow-vr
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy
+* of this software and associated documentation files (the "Software"), to deal
+* in the Software without restriction, including without limitation the rights
+* to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+* copies of the Software, and to permit persons to whom the Software is
+* furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all
+* copies or substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+* IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+* FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+* AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+* LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+* SOFTWARE.
+*/
+
+import AbstractLayout from '../layout/abstract-layout';
+
+// Maximum angle, in radians, covered by one segment of a curved background.
+const SEGMENT_ANGLE = Math.PI / 36.0;
+
+const _flat = new THREE.Matrix4();
+const _bent = new THREE.Matrix4();
+const _inverse = new THREE.Matrix4();
+const _center = new THREE.Vector3();
+
+// Flat and bent transforms of the elements being bent, in page space,
+// indexed by depth. The page itself is at depth 0, and is not bent.
+const _flatStack = [ new THREE.Matrix4() ];
+const _bentStack = [ new THREE.Matrix4() ];
+
+/**
+ * Creates a unit plane bent along a cylinder. The x coordinate is relative
+ * to the width, as the background is scaled by the width of its element,
+ * the depth is in Three.js units.
+ */
+let createCurvedPlane = ( width, radius ) => {
+
+    let angle = width / radius;
+    let segments = Math.max( Math.ceil( angle / SEGMENT_ANGLE ), 1 );
+    let geometry = new THREE.PlaneGeometry( 1, 1, segments, 1 );
+
+    for ( let vertex of geometry.vertices ) {
+        let theta = vertex.x * angle;
+        vertex.x = radius * Math.sin( theta ) / width;
+        vertex.z = radius * ( 1.0 - Math.cos( theta ) );
+    }
+    geometry.verticesNeedUpdate = true;
+    geometry.computeBoundingSphere();
+
+    return geometry;
+
+};
+
+/**
+ * Bends the background of layouts, as they can be much larger than the
+ * views they contain. The geometry is only created again when the size of
+ * the layout changes.
+ */
+let curveBackground = ( elt, radius ) => {
+
+    let background = elt._background;
+    let width = elt._dimensions.width;
+    let curved = elt._curvedBackground;
+    if ( curved && curved.width === width && curved.radius === radius ) return;
+
+    if ( curved ) curved.geometry.dispose();
+    else curved = elt._curvedBackground = { flatGeometry: background.geometry };
+
+    curved.width = width;
+    curved.radius = radius;
+    curved.geometry = createCurvedPlane( width, radius );
+    background.geometry = curved.geometry;
+
+};
+
+let flattenBackground = ( elt ) => {
+
+    let curved = elt._curvedBackground;
+    if ( !curved ) return;
+
+    elt._background.geometry = curved.flatGeometry;
+    curved.geometry.dispose();
+    elt._curvedBackground = null;
+
+};
+
+/**
+ * Places the element on the cylinder, tangent to it at its center. The
+ * position given by the layouts is kept, the bent transform is written to
+ * the matrix of the group.
+ *
+ * @param {VRUI.Element} elt - Element to place.
+ * @param {number} depth - Depth of the element, its parent transforms are
+ * read from the stacks at the previous index.
+ * @param {number} radius - Radius of the cylinder.
+ * @param {number} centerX - Position of the axis of the cylinder, in page
+ * space.
+ */
+let curveElement = ( elt, depth, radius, centerX ) => {
+
+    if ( _flatStack.length <= depth ) {
+        _flatStack.push( new THREE.Matrix4() );
+        _bentStack.push( new THREE.Matrix4() );
+    }
+
+    let group = elt.group;
+    let dimensions = elt._dimensions;
+
+    _flat.compose( group.position, group.quaternion, group.scale );
+    let flat = _flatStack[ depth ].multiplyMatrices( _flatStack[ depth - 1 ], _flat );
+
+    _center.set( dimensions.halfW || 0.0, - dimensions.halfH || 0.0, 0.0 ).applyMatrix4( flat );
+    let theta = ( _center.x - centerX ) / radius;
+
+    let bent = _bentStack[ depth ].makeTranslation(
+        centerX + radius * Math.sin( theta ),
+        _center.y,
+        _center.z + radius * ( 1.0 - Math.cos( theta ) )
+    );
+    bent.multiply( _bent.makeRotationY( - theta ) );
+    bent.multiply( _bent.makeTranslation( - _center.x, - _center.y, - _center.z ) );
+    bent.multiply( flat );
+
+    group.matrixAutoUpdate = false;
+    group.matrix.copy( _inverse.getInverse( _bentStack[ depth - 1 ] ) ).multiply( bent );
+    group.matrixWorldNeedsUpdate = true;
+
+    if ( elt instanceof AbstractLayout ) {
+        curveBackground( elt, radius );
+        for ( let child of elt._elements ) curveElement( child, depth + 1, radius, centerX );
+    }
+
+};
+
+let flattenElement = ( elt ) => {
+
+    elt.group.matrixAutoUpdate = true;
+    if ( elt instanceof AbstractLayout ) {
+        flattenBackground( elt );
+        for ( let child of elt._elements ) flattenElement( child );
+    }
+
+};
+
+/**
+ * Bends the content of a page onto a section of a vertical cylinder, facing
+ * its axis. The axis is in front of the horizontal center of the page, at
+ * the given distance. The page itself stays flat, so that it can still be
+ * moved, e.g: by transitions.
+ *
+ * This should be called each time the page is refreshed or animated. The
+ * page is only bent again if one of its elements moved since, see
+ * `Element._applyTransform()', or if the radius changed.
+ *
+ * @param {VRUI.Element} page - Page to bend.
+ * @param {number} radius - Radius of the cylinder, in Three.js units.
+ */
+let curvePage = ( page, radius ) => {
+
+    if ( page._bentRadius === radius ) return;
+    page._bentRadius = radius;
+
+    let centerX = ( page._dimensions.width || 0.0 ) * 0.5;
+
+    if ( page instanceof AbstractLayout ) {
+        curveBackground( page, radius );
+        for ( let child of page._elements ) curveElement( child, 1, radius, centerX );
+    }
+
+};
+
+/**
+ * Restores a page bent by `curvePage()'.
+ *
+ * @param {VRUI.Element} page - Page to restore.
+ */
+let flattenPage = ( page ) => {
+
+    flattenElement( page );
+    page._bentRadius = null;
+
+};
+
+export {
+    curvePage,
+    flattenPage
+};
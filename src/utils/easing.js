@@ -0,0 +1,76 @@
+/**
+* VRUI Javascript UI Library
+* https://github.com/artflow-vr/vr-ui
+*
+* MIT License
+*
+* Copyright (c) 2017 artflow-vr
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy
+* of this software and associated documentation files (the "Software"), to deal
+* in the Software without restriction, including without limitation the rights
+* to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+* copies of the Software, and to permit persons to whom the Software is
+* furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all
+* copies or substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+* IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+* FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+* AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+* LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+* SOFTWARE.
+*/
+
+/**
+ * Easing functions, mapping a linear progress in [0, 1] to an eased
+ * progress. They can be used with any transition or animation.
+ *
+ * e.g: Easing.quadInOut( 0.5 ) === 0.5
+ */
+let Easing = {
+
+    linear: ( t ) => t,
+
+    quadIn: ( t ) => t * t,
+    quadOut: ( t ) => t * ( 2.0 - t ),
+    quadInOut: ( t ) => {
+
+        return t < 0.5 ? 2.0 * t * t : - 1.0 + ( 4.0 - 2.0 * t ) * t;
+
+    },
+
+    cubicIn: ( t ) => t * t * t,
+    cubicOut: ( t ) => {
+
+        let u = t - 1.0;
+        return u * u * u + 1.0;
+
+    },
+    cubicInOut: ( t ) => {
+
+        if ( t < 0.5 ) return 4.0 * t * t * t;
+
+        let u = 2.0 * t - 2.0;
+        return 0.5 * u * u * u + 1.0;
+
+    },
+
+    sineInOut: ( t ) => 0.5 * ( 1.0 - Math.cos( Math.PI * t ) ),
+
+    backOut: ( t ) => {
+
+        let s = 1.70158;
+        let u = t - 1.0;
+        return u * u * ( ( s + 1.0 ) * u + s ) + 1.0;
+
+    }
+
+};
+
+export {
+    Easing
+};
@@ -0,0 +1,133 @@
+/**
+* VRUI Javascript UI Library
+* https://github.com/artflow-vr/vr-ui
+*
+* MIT License
+*
+* Copyright (c) 2017 artflow-vr
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy
+* of this software and associated documentation files (the "Software"), to deal
+* in the Software without restriction, including without limitation the rights
+* to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+* copies of the Software, and to permit persons to whom the Software is
+* furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all
+* copies or substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+* IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+* FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+* AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+* LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+* SOFTWARE.
+*/
+
+let now = () => {
+
+    return typeof performance !== `undefined` ? performance.now() : Date.now();
+
+};
+
+/**
+ *
+ * Event dispatched through the element hierarchy, see
+ * `Element.addEventListener()'. The event first goes down from the page to
+ * the parent of the target (capture phase), reaches the target, and goes
+ * back up to the page if it bubbles (bubble phase).
+ *
+ * Events triggered by the inputs are:
+ * - pointerenter / pointerleave: an input starts / stops hovering the
+ * element. They do not bubble.
+ * - pointerdown / pointerup: an input presses / releases the element.
+ * - click: the element is pressed and released by the same input, or
+ * activated by the focus manager.
+ * - change: the view changed, with the data given to the `onChange'
+ * callback as detail.
+ * - valuechange: the value of a slider, or the state of a checkbox,
+ * changed. The new value is given as `detail.value'.
+ * - longpress, doubleclick, dragstart, drag, dragend: gestures recognized
+ * by VRUI.GestureRecognizer.
+ * - gotpointercapture / lostpointercapture: the element starts / stops
+ * capturing an input, see `Element.setPointerCapture()'.
+ *
+ * Layouts also dispatch `childremove' when children are removed, replaced,
+ * or moved to another layout, with the children as `detail.elements'.
+ *
+ * @export
+ * @class ElementEvent
+ */
+export default class ElementEvent {
+
+    /**
+     * Creates an instance of ElementEvent.
+     *
+     * @param {string} type - Type of the event, e.g: 'click'.
+     * @param {Object} [init] - Event relative data. e.g:
+     * {
+     *     bubbles: true,
+     *     input: input, // VRUI.AbstractInput, or the focus manager
+     *     intersection: info, // Intersection with the target, if any
+     *     detail: { value: 0.5 }
+     * }
+     * @memberof ElementEvent
+     */
+    constructor( type, init ) {
+
+        let data = init || {};
+
+        this.type = type;
+        this.bubbles = Boolean( data.bubbles );
+
+        this.target = null;
+        this.currentTarget = null;
+        this.eventPhase = ElementEvent.NONE;
+
+        this.input = data.input || null;
+        this.intersection = data.intersection || null;
+        // World position and texture coordinates of the hit point, null if
+        // the element was not reached by a ray.
+        this.point = this.intersection ? this.intersection.point.clone() : null;
+        this.uv = this.intersection && this.intersection.uv ? this.intersection.uv.clone() : null;
+        this.detail = data.detail || null;
+        // In milliseconds.
+        this.timestamp = now();
+
+        this._stopped = false;
+        this._immediateStopped = false;
+
+    }
+
+    /**
+     * Prevents the event from reaching the next elements of its path. The
+     * listeners of the current element are still called.
+     *
+     * @memberof ElementEvent
+     */
+    stopPropagation() {
+
+        this._stopped = true;
+
+    }
+
+    /**
+     * Prevents the event from reaching any other listener, including the
+     * ones of the current element.
+     *
+     * @memberof ElementEvent
+     */
+    stopImmediatePropagation() {
+
+        this._stopped = true;
+        this._immediateStopped = true;
+
+    }
+
+}
+
+ElementEvent.NONE = 0;
+ElementEvent.CAPTURING_PHASE = 1;
+ElementEvent.AT_TARGET = 2;
+ElementEvent.BUBBLING_PHASE = 3;
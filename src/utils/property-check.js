@@ -25,6 +25,8 @@
 * SOFTWARE.
 */
 
+import { isLength, isSize } from './size';
+
 let IS_IN_RANGE = ( data, propID, value ) => {
 
     let min = data[ 0 ];
@@ -70,6 +72,34 @@ let IS_INSTANCE_OF = ( data, propID, value ) => {
 
 };
 
+let IS_SIZE = ( data, propID, value ) => {
+
+    if ( !isSize( value ) ) {
+        let errorMsg = `Element property ` + propID + ` should be a number in the `;
+        errorMsg += `range [0, 1], a percentage, 'wrap', 'match_parent', or a `;
+        errorMsg += `length in meters or degrees, e.g: '0.2m' or '10deg'`;
+        console.error( errorMsg );
+        return false;
+    }
+
+    return true;
+
+};
+
+let IS_LENGTH = ( data, propID, value ) => {
+
+    if ( !isLength( value, data ) ) {
+        let errorMsg = `Element property ` + propID + ` should be a number in the `;
+        errorMsg += `range [` + data[ 0 ] + `, ` + data[ 1 ] + `], a percentage, or a `;
+        errorMsg += `length in meters or degrees, e.g: '2cm' or '1.5deg'`;
+        console.error( errorMsg );
+        return false;
+    }
+
+    return true;
+
+};
+
 let checkTerminalProp = ( obj, expected, propID ) => {
 
     let callback = expected[ propID ].function;
@@ -126,6 +156,8 @@ export {
     IS_IN_RANGE,
     IS_IN_LIST,
     IS_INSTANCE_OF,
+    IS_SIZE,
+    IS_LENGTH,
     checkAndClone,
     setUndefinedProps
 };
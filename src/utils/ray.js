@@ -0,0 +1,85 @@
+/**
+* VRUI Javascript UI Library
+* https://github.com/artflow-vr/vr-ui
+*
+* MIT License
+*
+* Copyright (c) 2017 artflow-vr
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy
+* of this software and associated documentation files (the "Software"), to deal
+* in the Software without restriction, including without limitation the rights
+* to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+* copies of the Software, and to permit persons to whom the Software is
+* furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all
+* copies or substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+* IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+* FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+* AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+* LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+* SOFTWARE.
+*/
+
+const _plane = new THREE.Plane();
+const _normal = new THREE.Vector3();
+const _origin = new THREE.Vector3();
+const _normalMatrix = new THREE.Matrix3();
+
+/**
+ * Intersects a ray with the plane of an object, i.e: its local XY plane.
+ * This is used to keep following an input once it leaves the bounds of an
+ * element, e.g: while dragging a slider.
+ *
+ * @param {THREE.Ray} ray - Ray to intersect.
+ * @param {THREE.Object3D} object - Object whose plane is intersected, its
+ * world matrix should be up-to-date.
+ * @returns {THREE.Vector3} the intersection point in world space, or null
+ * if the ray does not reach the plane.
+ */
+let intersectObjectPlane = ( ray, object ) => {
+
+    let matrix = object.matrixWorld;
+    _normalMatrix.getNormalMatrix( matrix );
+    _normal.set( 0.0, 0.0, 1.0 ).applyMatrix3( _normalMatrix ).normalize();
+    _origin.setFromMatrixPosition( matrix );
+    _plane.setFromNormalAndCoplanarPoint( _normal, _origin );
+
+    return ray.intersectPlane( _plane, new THREE.Vector3() );
+
+};
+
+/**
+ * Intersects a ray with the plane of a mesh using PLANE_GEOM, and builds
+ * intersection information as THREE.Raycaster does. The point may be out of
+ * the bounds of the mesh, in which case the uv are out of [0, 1].
+ *
+ * @param {THREE.Ray} ray - Ray to intersect.
+ * @param {THREE.Mesh} object - Mesh using the unit plane geometry.
+ * @returns {Object} the intersection information, or null if the ray does
+ * not reach the plane.
+ */
+let projectOnPlaneMesh = ( ray, object ) => {
+
+    let point = intersectObjectPlane( ray, object );
+    if ( !point ) return null;
+
+    let local = object.worldToLocal( point.clone() );
+    return {
+        distance: ray.origin.distanceTo( point ),
+        point: point,
+        uv: new THREE.Vector2( local.x + 0.5, local.y + 0.5 ),
+        face: null,
+        object: object
+    };
+
+};
+
+export {
+    intersectObjectPlane,
+    projectOnPlaneMesh
+};
@@ -0,0 +1,115 @@
+/**
+* VRUI Javascript UI Library
+* https://github.com/artflow-vr/vr-ui
+*
+* MIT License
+*
+* Copyright (c) 2017 artflow-vr
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy
+* of this software and associated documentation files (the "Software"), to deal
+* in the Software without restriction, including without limitation the rights
+* to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+* copies of the Software, and to permit persons to whom the Software is
+* furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all
+* copies or substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+* IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+* FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+* AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+* LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+* SOFTWARE.
+*/
+
+/**
+ * Minimal selectors, used to query elements in a hierarchy. Supported
+ * syntax:
+ * - type: matches the `type' of the element, e.g: 'slider', 'text'
+ * - #id: matches the `data.id' of the element, e.g: '#size'
+ * - *: matches any element
+ * - compound: 'slider#size'
+ * - descendant: 'vertical-layout slider'
+ * - list: 'slider, checkbox'
+ */
+
+const COMPOUND_REGEX = /^([\w-]+|\*)?(?:#([\w-]+))?$/;
+
+let parseCompound = ( str, selector ) => {
+
+    let match = COMPOUND_REGEX.exec( str );
+    if ( !str || !match ) {
+        let errorMsg = `invalid selector '` + selector + `'.`;
+        throw new TypeError( `parseSelector(): ` + errorMsg );
+    }
+
+    return {
+        type: match[ 1 ] && match[ 1 ] !== `*` ? match[ 1 ] : null,
+        id: match[ 2 ] !== undefined ? match[ 2 ] : null
+    };
+
+};
+
+/**
+ * Parses the given selector.
+ *
+ * @param {string} selector - e.g: 'grid-layout slider, #title'
+ * @returns {Array} a list of chains of compounds, the last compound of a
+ * chain matching the element itself, and the other ones its ancestors.
+ */
+let parseSelector = ( selector ) => {
+
+    if ( typeof selector !== `string` ) {
+        let errorMsg = `selector should be a string.`;
+        throw new TypeError( `parseSelector(): ` + errorMsg );
+    }
+
+    return selector.split( `,` ).map( ( group ) => {
+
+        return group.trim().split( /\s+/ ).map( ( str ) => parseCompound( str, selector ) );
+
+    } );
+
+};
+
+let matchCompound = ( element, compound ) => {
+
+    if ( compound.type !== null && element.type !== compound.type ) return false;
+    if ( compound.id !== null && String( element.data.id ) !== compound.id ) return false;
+    return true;
+
+};
+
+/**
+ * Checks whether the element matches one of the parsed chains.
+ *
+ * @param {VRUI.Element} element - Element to test.
+ * @param {Array} chains - Result of `parseSelector()'.
+ * @returns true if the element matches, false otherwise.
+ */
+let matchSelector = ( element, chains ) => {
+
+    for ( let chain of chains ) {
+        let last = chain.length - 1;
+        if ( !matchCompound( element, chain[ last ] ) ) continue;
+
+        // Ancestors are matched from the closest one.
+        let i = last - 1;
+        let ancestor = element.parent;
+        while ( i >= 0 && ancestor ) {
+            if ( matchCompound( ancestor, chain[ i ] ) ) --i;
+            ancestor = ancestor.parent;
+        }
+        if ( i < 0 ) return true;
+    }
+    return false;
+
+};
+
+export {
+    parseSelector,
+    matchSelector
+};
@@ -0,0 +1,170 @@
+/**
+* VRUI Javascript UI Library
+* https://github.com/artflow-vr/vr-ui
+*
+* MIT License
+*
+* Copyright (c) 2017 artflow-vr
+*
+* Permission is hereby granted, free of charge, to any person obtaining a copy
+* of this software and associated documentation files (the "Software"), to deal
+* in the Software without restriction, including without limitation the rights
+* to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+* copies of the Software, and to permit persons to whom the Software is
+* furnished to do so, subject to the following conditions:
+*
+* The above copyright notice and this permission notice shall be included in all
+* copies or substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+* IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+* FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+* AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+* LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+* OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+* SOFTWARE.
+*/
+
+/**
+ * Lengths given to the style properties, e.g: `margin' or `padding', can be:
+ * - a number: fraction of the space given by the parent.
+ * - a percentage, e.g: '25%'.
+ * - an absolute length, in Three.js units considered as meters, e.g: '0.02m',
+ * '2cm' or '20mm'. A 2cm button stays 2cm whatever the size of its panel.
+ * - an angular size, in degrees, e.g: '2deg'. This is the length covering
+ * this angle when seen from the reference distance, see
+ * `setReferenceDistance()'.
+ *
+ * Sizes given to the `width' and `height' style properties can be lengths,
+ * as well as:
+ * - 'match_parent': the whole space given by the parent.
+ * - 'wrap': the size of the content of the element.
+ */
+
+const LENGTH_REGEX = /^(\d*\.?\d+)(%|m|cm|mm|deg)$/;
+
+const UNIT_TO_METERS = {
+    m: 1.0,
+    cm: 0.01,
+    mm: 0.001
+};
+
+const WRAP = `wrap`;
+const MATCH_PARENT = `match_parent`;
+
+// Distance, in meters, at which angular sizes are computed.
+let referenceDistance = 1.0;
+
+/**
+ * Sets the distance, in meters, at which the UI is expected to be seen.
+ * Angular sizes are converted to lengths at this distance. It should be set
+ * before the UI is refreshed.
+ *
+ * @param {number} distance - Distance, in meters.
+ */
+let setReferenceDistance = ( distance ) => {
+
+    if ( !( distance > 0.0 ) ) {
+        let errorMsg = `distance should be a positive number.`;
+        throw new TypeError( `setReferenceDistance(): ` + errorMsg );
+    }
+    referenceDistance = distance;
+
+};
+
+/**
+ * Splits a length into a fraction of the parent space, and an absolute
+ * part. Only one of them is non-null.
+ *
+ * @param {number|string} value - Length, see above.
+ * @returns {Object} the `fraction' and the `absolute' length, or null if
+ * the value is not a valid length.
+ */
+let parseLength = ( value ) => {
+
+    if ( typeof value === `number` ) {
+        if ( isNaN( value ) ) return null;
+        return { fraction: value, absolute: 0.0 };
+    }
+
+    let match = typeof value === `string` ? LENGTH_REGEX.exec( value ) : null;
+    if ( !match ) return null;
+
+    let number = parseFloat( match[ 1 ] );
+    switch ( match[ 2 ] ) {
+        case `%`:
+            return { fraction: number / 100.0, absolute: 0.0 };
+        case `deg`: {
+            let angle = number * Math.PI / 180.0;
+            return { fraction: 0.0, absolute: 2.0 * referenceDistance * Math.tan( angle * 0.5 ) };
+        }
+    }
+
+    return { fraction: 0.0, absolute: number * UNIT_TO_METERS[ match[ 2 ] ] };
+
+};
+
+/**
+ * Checks a length. Fractions, or percentages, should be in the given range.
+ *
+ * @param {number|string} value - Length, see above.
+ * @param {Array} range - Minimum and maximum fraction.
+ */
+let isLength = ( value, range ) => {
+
+    let length = parseLength( value );
+    if ( !length ) return false;
+
+    return length.fraction >= range[ 0 ] && length.fraction <= range[ 1 ] && length.absolute >= 0.0;
+
+};
+
+let isSize = ( value ) => {
+
+    return value === WRAP || value === MATCH_PARENT || isLength( value, [ 0.0, 1.0 ] );
+
+};
+
+/**
+ * Converts a length to Three.js units.
+ *
+ * @param {number|string} value - Length, see above.
+ * @param {number} max - Space given by the parent, in Three.js units.
+ * @returns {number} the length.
+ */
+let resolveLength = ( value, max ) => {
+
+    let length = parseLength( value );
+    if ( !length ) return 0.0;
+
+    return length.fraction * max + length.absolute;
+
+};
+
+/**
+ * Converts a size to Three.js units.
+ *
+ * @param {number|string} value - Size, see above. If not set, or 0, the
+ * whole space is used.
+ * @param {number} max - Space given by the parent, in Three.js units.
+ * @returns {number} the size, or null if the size depends on the content.
+ */
+let resolveSize = ( value, max ) => {
+
+    if ( !value || value === MATCH_PARENT ) return max;
+    if ( value === WRAP ) return null;
+
+    return resolveLength( value, max );
+
+};
+
+export {
+    WRAP,
+    MATCH_PARENT,
+    setReferenceDistance,
+    parseLength,
+    isLength,
+    isSize,
+    resolveLength,
+    resolveSize
+};
@@ -34,12 +34,16 @@ import {
     setUndefinedProps
 } from '../utils/property-check';
 
+// Duration, in seconds, of the checkmark animation.
+const CHECK_DURATION = 0.15;
+
 export default class CheckboxView extends ElementView {
 
     constructor( data, style ) {
 
         super( data, new THREE.Group(), style );
         this.type = `checkbox`;
+        this.focusable = true;
 
         setUndefinedProps( {
             check: Colors.MARK_CHECKBOX,
@@ -62,45 +66,92 @@ export default class CheckboxView extends ElementView {
         this.mesh.add( this.checkMesh );
 
         this.checked = false;
+        this._checkOpacity = this.checkMesh.material.opacity;
+        this._checkTween = null;
+
+    }
+
+    /**
+     * Checks or unchecks the checkbox, without triggering the onChange
+     * callback.
+     *
+     * @param {boolean} checked - true to display the checkmark.
+     * @returns this instance, allowing to chain the calls.
+     * @memberof CheckboxView
+     */
+    setChecked( checked ) {
+
+        this.checked = checked;
+
+        // The checkmark fades in and out.
+        let material = this.checkMesh.material;
+        material.transparent = true;
+        if ( checked ) material.visible = true;
 
-        this._onHoverEnter = ( object ) => {
+        if ( this._checkTween ) this._checkTween.cancel();
+        this._checkTween = this._tween( material, {
+            opacity: checked ? this._checkOpacity : 0.0
+        }, {
+            duration: CHECK_DURATION,
+            onComplete: () => {
 
-            object.emptyMesh.material.color.setHex( Colors.HIGHLIGHT );
-            object.checkMesh.material.color.setHex( Colors.HIGHLIGHT );
+                material.visible = this.checked;
+
+            }
+        } );
+
+        return this;
+
+    }
 
-        };
-        this._onHoverExit = ( object ) => {
 
-            object.emptyMesh.material.color.setHex( Colors.WHITE );
-            object.checkMesh.material.color.setHex( Colors.WHITE );
+    _highlightHover( hover ) {
 
-        };
+        let color = hover ? Colors.HIGHLIGHT : Colors.WHITE;
+        this._highlight( this.emptyMesh.material, color );
+        this._highlight( this.checkMesh.material, color );
+
+    }
+
+    _activate( input ) {
+
+        this._toggle( null, input );
+        this._emit( `click`, input, null );
+
+    }
+
+    _toggle( info, input ) {
+
+        this._notifyChange( {
+            pressed: false,
+            state: this.checked,
+            info: info,
+            input: input
+        } );
+        this.setChecked( !this.checked );
+        if ( this.listenTo )
+            this.listenTo.object[ this.listenTo.propID ] = this.checked;
+        this._emit( `valuechange`, input, info, { value: this.checked } );
 
     }
 
     _intersect( raycaster, state ) {
 
-        if ( !state.pressed && this.pressed ) {
-            this.pressed = false;
-            if ( this._onChange ) {
-                this._onChange( this, {
-                    pressed: this.pressed,
-                    state: this.checked,
-                    info: this._lastIntersect
-                } );
-                this.checked = !this.checked;
-                this.checkMesh.material.visible = this.checked;
-                if ( this.listenTo )
-                    this.listenTo.object[ this.listenTo.propID ] = this.checked;
-            }
+        let input = state.input;
+
+        let inputState = this._inputStates.get( input );
+        if ( inputState && !state.pressed && inputState.pressed ) {
+            this._setInputPressed( inputState, false, input );
+            this._toggle( inputState.intersect, input );
         }
 
-        let intersectionInfo = this._checkHover( raycaster, this.emptyMesh,
-            this._onHoverEnter, this._onHoverExit );
+        let intersectionInfo = this._checkHover( raycaster, state, this.emptyMesh );
 
         if ( !intersectionInfo ) return null;
 
-        this.pressed = state.pressed && !this.pressed;
+        inputState = this._getInputState( input );
+        if ( state.pressed && !inputState.pressed )
+            this._setInputPressed( inputState, true, input );
         return intersectionInfo;
 
     }
@@ -29,6 +29,9 @@ import Element from '../element';
 
 import * as Colors from '../utils/colors';
 
+// Duration, in seconds, of the highlight animation.
+const HIGHLIGHT_DURATION = 0.15;
+
 export default class ElementView extends Element {
 
     constructor( data, mesh, style ) {
@@ -49,23 +52,12 @@ export default class ElementView extends Element {
         this.mesh.position.z = 0.001; // prevents z-fighting
         this.group.add( this.mesh );
 
-        this.pressed = false;
-
         this.listenTo = null;
 
         this._initialColor = new THREE.Color();
-
-        this._onHoverEnter = ( object ) => {
-
-            this._initialColor.copy( object.mesh.material.color );
-            object.mesh.material.color.setHex( Colors.HIGHLIGHT );
-
-        };
-        this._onHoverExit = ( object ) => {
-
-            object.mesh.material.color.copy( this._initialColor );
-
-        };
+        this._initialScale = this.mesh.scale.clone();
+        // Running highlight animation of each material.
+        this._highlightTweens = new Map();
 
     }
 
@@ -80,11 +72,11 @@ export default class ElementView extends Element {
 
     }
 
-    refresh( maxEltWidth, maxEltHeight ) {
+    refresh( maxEltWidth, maxEltHeight, size ) {
 
         // TODO: Padding and marging are not working correctly.
 
-        super.refresh( maxEltWidth, maxEltHeight );
+        super.refresh( maxEltWidth, maxEltHeight, size );
 
         let dimensions = this._dimensions;
         let padding = dimensions.padding;
@@ -104,50 +96,166 @@ export default class ElementView extends Element {
             xOffset = width * 0.5 + ( padding.left - padding.right );
             yOffset = - height * 0.5 + ( padding.bottom - padding.top );
         } else {
-            this.mesh.scale.multiplyScalar( newHeight );
-            xOffset = newWidth;
-            yOffset = newHeight * 0.5;
+            this.mesh.scale.copy( this._initialScale ).multiplyScalar( newHeight );
+            xOffset = width * 0.5 + ( padding.left - padding.right );
+            yOffset = - height * 0.5 + ( padding.bottom - padding.top );
         }
         this.mesh.position.x = xOffset;
         this.mesh.position.y = yOffset;
 
     }
 
+    _measureContent( maxWidth, maxHeight, width, height ) {
+
+        // Wrapped views keep the aspect ratio of their content, and take as
+        // much space as possible when no dimension is known.
+        let ratio = this._getContentRatio();
+        let content = { width: width, height: height };
+        if ( width === null && height === null ) {
+            content.height = Math.min( maxHeight, maxWidth / ratio );
+            content.width = content.height * ratio;
+        } else if ( width === null ) {
+            content.width = height * ratio;
+        } else if ( height === null ) {
+            content.height = width / ratio;
+        }
+
+        return content;
+
+    }
+
+    /**
+     * Returns the width / height ratio of the content displayed by the view,
+     * used to measure wrapped views.
+     *
+     * @returns {number} the ratio, 1.0 if the content has no natural size.
+     * @memberof ElementView
+     */
+    _getContentRatio() {
+
+        let map = this.mesh.material ? this.mesh.material.map : null;
+        let image = map ? map.image : null;
+        if ( image && image.width && image.height )
+            return image.width / image.height;
+
+        return 1.0;
+
+    }
+
     _intersect( raycaster, state ) {
 
-        if ( !state.pressed && this.pressed ) {
-            this.pressed = false;
-            if ( this._onChange ) {
-                this._onChange( this, {
-                    pressed: this.pressed,
-                    info: this._lastIntersect
-                } );
-            }
+        let input = state.input;
+
+        let inputState = this._inputStates.get( input );
+        if ( inputState && !state.pressed && inputState.pressed ) {
+            this._setInputPressed( inputState, false, input );
+            this._notifyChange( {
+                pressed: false,
+                info: inputState.intersect,
+                input: input
+            } );
         }
 
-        let intersectionInfo = this._checkHover( raycaster, this.mesh,
-            this._onHoverEnter, this._onHoverExit );
+        let intersectionInfo = this._checkHover( raycaster, state, this.mesh );
 
         if ( !intersectionInfo )
             return null;
 
-        if ( state.pressed && !this.pressed ) {
-            this.pressed = true;
-            if ( this._onChange ) {
-                this._onChange( this, {
-                    pressed: this.pressed,
-                    info : intersectionInfo
-                } );
-            }
+        inputState = this._getInputState( input );
+        if ( state.pressed && !inputState.pressed ) {
+            this._setInputPressed( inputState, true, input );
+            this._notifyChange( {
+                pressed: true,
+                info : intersectionInfo,
+                input: input
+            } );
         }
 
         return intersectionInfo;
 
     }
 
-    _forceExit() {
+    /**
+     * Activates the view without pointer, e.g: when it is focused and the
+     * user presses `Enter'. A view behaves as if it was clicked.
+     *
+     * @param {Object} input - Source of the activation.
+     * @memberof ElementView
+     */
+    _activate( input ) {
+
+        this._notifyChange( { pressed: true, info: null, input: input } );
+        this._notifyChange( { pressed: false, info: null, input: input } );
+        this._emit( `click`, input, null );
+
+    }
+
+    /**
+     * Increments or decrements the view value without pointer.
+     *
+     * @param {number} direction - 1 to increment, -1 to decrement.
+     * @param {Object} input - Source of the change.
+     * @returns true if the view has a value that changed, false otherwise.
+     * @memberof ElementView
+     */
+    _increment() {
+
+        return false;
+
+    }
+
+    /**
+     * Sets the pressed state of an input, and updates the `pressed'
+     * attribute, true as long as one input is pressing the view. Clicks
+     * are recognized by VRUI.GestureRecognizer.
+     */
+    _setInputPressed( inputState, pressed, input ) {
+
+        inputState.pressed = pressed;
+        this.pressed = this._isInputState( `pressed` );
+
+        this._emit( pressed ? `pointerdown` : `pointerup`, input, inputState.intersect );
+
+    }
+
+    _hoverChanged( info, input ) {
+
+        super._hoverChanged( info, input );
+        this._highlightHover( this.hover );
+
+    }
+
+    /**
+     * Highlights the view when it is hovered, and restores its color
+     * afterwards.
+     *
+     * @param {boolean} hover - true if the view is hovered.
+     * @memberof ElementView
+     */
+    _highlightHover( hover ) {
+
+        let material = this.mesh.material;
+        if ( !hover ) {
+            this._highlight( material, this._initialColor );
+            return;
+        }
+
+        // The initial color is only saved if the element is not already
+        // going back to it.
+        let tween = this._highlightTweens.get( material );
+        if ( !tween || tween.finished ) this._initialColor.copy( material.color );
+        this._highlight( material, Colors.HIGHLIGHT );
+
+    }
+
+    _highlight( material, color ) {
+
+        let tween = this._highlightTweens.get( material );
+        if ( tween ) tween.cancel();
 
-        this.pressed = false;
+        this._highlightTweens.set( material, this._tween( material, {
+            color: color
+        }, { duration: HIGHLIGHT_DURATION } ) );
 
     }
 
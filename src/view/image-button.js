@@ -42,6 +42,7 @@ export default class ImageButton extends ElementView {
 
         super( data, new THREE.Mesh( PLANE_GEOM, material ), style );
         this.type = `button`;
+        this.focusable = true;
 
     }
 
@@ -41,12 +41,16 @@ let MAX_VALUE = 1.0;
 let HANDLE_SCALE_X = 0.1;
 let HANDLE_SCALE_Y = 0.8;
 
+// Duration, in seconds, of the handle animation.
+const HANDLE_DURATION = 0.08;
+
 export default class SliderView extends ElementView {
 
     constructor( data, style ) {
 
         super( data, new THREE.Group(), style );
         this.type = `slider`;
+        this.focusable = true;
 
         setUndefinedProps( {
             background: Colors.MARK_CHECKBOX,
@@ -76,26 +80,15 @@ export default class SliderView extends ElementView {
         this._min = MIN_VALUE;
         this._max = MAX_VALUE;
         this._value = ( this._max - this._min ) / 2.0;
-
-        this._onHoverEnter = null;
-        this._onHoverExit = null;
+        // Increment used without pointer. If null, a tenth of the range.
+        this._step = null;
+        this._handleTween = null;
 
     }
 
     setValue( value ) {
 
-        if ( value < this._min || value > this._max ) {
-            let warnMsg = `value not set because it is out of bounds`;
-            console.warn( `SliderView.setValue() ` + warnMsg );
-            return this;
-        }
-
-        this._value = value;
-
-        let range = this._max - this._min;
-        this.handleMesh.position.x = ( ( value - this._min ) / range ) - 0.5;
-
-        return this;
+        return this._setValue( value, true );
 
     }
 
@@ -108,33 +101,120 @@ export default class SliderView extends ElementView {
 
     }
 
+    /**
+     * Sets the increment applied when the slider is changed without
+     * pointer, e.g: with the arrow keys.
+     *
+     * @param {number} step - Increment, in slider units.
+     * @returns this instance, allowing to chain the calls.
+     * @memberof SliderView
+     */
+    step( step ) {
+
+        this._step = step;
+        return this;
+
+    }
+
+    _increment( direction, input ) {
+
+        let step = this._step || ( this._max - this._min ) * 0.1;
+        let value = this._value + direction * step;
+        value = Math.min( Math.max( value, this._min ), this._max );
+
+        this._changeValue( value, false, null, input );
+        return true;
+
+    }
+
+    _changeValue( value, pressed, info, input ) {
+
+        // The handle follows a dragging pointer without delay.
+        let previous = this._value;
+        this._setValue( value, !pressed );
+
+        this._notifyChange( {
+            pressed: pressed,
+            value: this._value,
+            info: info,
+            input: input
+        } );
+        if ( this.listenTo )
+            this.listenTo.object[ this.listenTo.propID ] = this._value;
+        if ( this._value !== previous )
+            this._emit( `valuechange`, input, info, { value: this._value } );
+
+    }
+
+    _highlightHover() {
+
+        // The slider is a group of meshes, it is not highlighted.
+
+    }
+
     _intersect( raycaster, state ) {
 
-        let intersectionInfo = this._checkHover( raycaster, this.backgroundMesh,
-            this._onHoverEnter, this._onHoverExit );
+        let input = state.input;
+
+        let inputState = this._inputStates.get( input );
+        if ( inputState && !state.pressed && inputState.pressed )
+            this._setInputPressed( inputState, false, input );
+
+        let intersectionInfo = this._checkHover( raycaster, state,
+            this.backgroundMesh );
 
         if ( !intersectionInfo ) return null;
 
+        // The slider follows the input until it is released, even if it
+        // drifts out of the track.
+        inputState = this._getInputState( input );
+        if ( state.pressed && !inputState.pressed ) {
+            this._setInputPressed( inputState, true, input );
+            this.setPointerCapture( input );
+        }
+
         if ( state.pressed ) {
-            let point = this._lastIntersect;
-            this.handleMesh.position.x = point.uv.x - 0.5;
-
-            let value = point.uv.x;
-            this._value = value * ( this._max - this._min ) + this._min;
-
-            if ( this._onChange ) {
-                this._onChange( this, {
-                    pressed: state.pressed,
-                    value: this._value,
-                    info: intersectionInfo
-                } );
-            }
-            if ( this.listenTo )
-                this.listenTo.object[ this.listenTo.propID ] = this._value;
+            let x = Math.min( Math.max( intersectionInfo.uv.x, 0.0 ), 1.0 );
+            let value = x * ( this._max - this._min );
+            this._changeValue( value + this._min, true, intersectionInfo,
+                state.input );
         }
 
         return intersectionInfo;
 
     }
 
+    _setValue( value, animated ) {
+
+        if ( value < this._min || value > this._max ) {
+            let warnMsg = `value not set because it is out of bounds`;
+            console.warn( `SliderView.setValue() ` + warnMsg );
+            return this;
+        }
+
+        this._value = value;
+
+        let range = this._max - this._min;
+        this._moveHandle( ( ( value - this._min ) / range ) - 0.5, animated );
+
+        return this;
+
+    }
+
+    _moveHandle( x, animated ) {
+
+        if ( this._handleTween ) this._handleTween.cancel();
+        this._handleTween = null;
+
+        if ( !animated ) {
+            this.handleMesh.position.x = x;
+            return;
+        }
+
+        this._handleTween = this._tween( this.handleMesh.position, { x: x }, {
+            duration: HANDLE_DURATION
+        } );
+
+    }
+
 }
@@ -27,6 +27,7 @@
 
 import ElementView from './element-view';
 import createText from '../helper/text';
+import { WRAP } from '../utils/size';
 
 import {
     checkAndClone,
@@ -50,19 +51,65 @@ export default class TextView extends ElementView {
         let userData = {};
         checkAndClone( data, PROP_TO_CHECK, userData );
 
-        super( createText( userData.string, userData.color ), style );
+        super( userData, createText( userData.string, userData.color ), style );
 
-        this.data = userData;
         this.type = `text`;
         this.text = this.data.string;
+        this.textMesh = this.mesh.children[ 0 ];
+
+    }
+
+    _highlightHover() {
+
+        // The text anchor is not a mesh, it has no material to highlight.
 
     }
 
     updateStr( str ) {
 
         this.text = str;
+        // Keeps the serialized string up to date, see `VRUI.toJSON()'.
+        this.data.string = str;
         this.textMesh.geometry.update( str );
 
+        // Wrapped texts follow the length of the string.
+        if ( this.style.width === WRAP || this.style.height === WRAP )
+            this.requestLayout();
+
+    }
+
+    _getBaseline() {
+
+        // The origin of the text mesh lies on the baseline of the first line.
+        return - ( this.mesh.position.y + this.mesh.scale.y * this.textMesh.position.y );
+
+    }
+
+    _getContentRatio() {
+
+        // The anchor is scaled by the height of the element, the text
+        // spreads on the width of its longest line. The layout width can not
+        // be used, the text is centered on a fixed width.
+        let start = Infinity;
+        let end = - Infinity;
+        for ( let glyph of this.textMesh.geometry.layout.glyphs ) {
+            start = Math.min( start, glyph.position[ 0 ] );
+            end = Math.max( end, glyph.position[ 0 ] + glyph.data.xadvance );
+        }
+        if ( start >= end ) return 1.0;
+
+        return ( end - start ) * Math.abs( this._initialScale.x );
+
+    }
+
+    _dispose() {
+
+        // The font texture is created for each text.
+        let uniforms = this.textMesh.material.uniforms;
+        if ( uniforms && uniforms.map.value ) uniforms.map.value.dispose();
+
+        super._dispose();
+
     }
 
 }
@@ -28,11 +28,29 @@
 'use strict';
 
 import VRUI from './main';
+import GUI from './gui';
 import * as layout from './layout/layout';
 import * as view from './view/view';
+import * as transition from './transition/transition';
+import * as animation from './animation/animation';
+import * as input from './input/input';
+import * as anchor from './anchor/anchor';
+import * as schema from './schema';
+import * as size from './utils/size';
+import { Easing } from './utils/easing';
+import ElementEvent from './utils/element-event';
 
 export default {
     VRUI,
+    GUI,
     layout,
-    view
+    view,
+    transition,
+    animation,
+    input,
+    anchor,
+    schema,
+    size,
+    Easing,
+    ElementEvent
 };